@@ -1,37 +1,156 @@
 /**
  * Discotify Background Service Worker
- * Handles Spotify API authentication and album search
+ * Handles Spotify API authentication and album search across streaming providers
  */
 
 'use strict';
 
+import {
+  DEFAULT_STRICTNESS,
+  MIN_ALBUM_SCORE,
+  MIN_IDENTIFIER_SCORE,
+  TRACK_MATCH_CANDIDATES,
+  TRACK_DURATION_TOLERANCE,
+  addTracklistScore,
+  cleanSearchTerm,
+  describeMatch,
+  expandBarcodes,
+  fuzzyMatch,
+  getCompilationTerms,
+  isAcceptedMatch,
+  isVariousArtists,
+  normalizeForComparison,
+  normalizeTrackTitle,
+  scoreAlbums,
+  scoreArtistMatch,
+  scoreNameMatch,
+  scoreTracklist,
+  VARIOUS_ARTISTS
+} from './matching.js';
+import { createRequestScheduler } from './scheduler.js';
+import { DEFAULT_SEARCH_LIMIT, SYNC_SETTING_KEYS, validateSettings } from '../shared/settings.js';
+import {
+  getSecretStatus,
+  loadSecret,
+  migrateLegacySecret,
+  storeSecret,
+  unlockSecret
+} from './secrets.js';
+import bandcampProvider from './providers/bandcamp.js';
+import deezerProvider from './providers/deezer.js';
+
 // Spotify API configuration
+const SPOTIFY_AUTHORIZE_URL = 'https://accounts.spotify.com/authorize';
 const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
 const SPOTIFY_API_URL = 'https://api.spotify.com/v1';
+const DISCOGS_API_URL = 'https://api.discogs.com';
+
+// Scopes requested when the user logs in with their Spotify account
+const SPOTIFY_USER_SCOPES = [
+  'user-read-private',
+  'user-library-read',
+  'user-library-modify',
+  'user-follow-read',
+  'user-follow-modify',
+  'playlist-read-private',
+  'playlist-modify-private',
+  'playlist-modify-public'
+];
+const USER_AUTH_KEY = 'spotifyUserAuth'; // Local: refresh token, scope and profile
+
+// Access tokens live in chrome.storage.session only, so they never touch disk
+const CLIENT_TOKEN_KEY = 'spotifyToken';
+const USER_TOKEN_KEY = 'spotifyUserToken';
+
+// Market used when neither the setting, the user profile nor the browser locale gives one
+const DEFAULT_MARKET = 'US';
+
+// Match cache configuration
+const MATCH_CACHE_KEY = 'matchCache';
+const MATCH_CACHE_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+const NO_MATCH_CACHE_TTL = 24 * 60 * 60 * 1000; // 1 day, so new releases get picked up
+const MATCH_CACHE_MAX_ENTRIES = 500;
+const MATCH_CACHE_SAVE_DELAY = 5000; // Batches lastUsed updates from cache hits
+
+// Streaming providers tried in this order unless the user picked their own.
+// Bandcamp catches the small-label and self-released music Spotify lacks.
+const DEFAULT_PROVIDER_ORDER = ['spotify', 'bandcamp'];
+
+// Manual overrides
+const OVERRIDES_KEY = 'matchOverrides';
+const MAX_CANDIDATES = 10;
+
+// Listening history
+const HISTORY_KEY = 'listeningHistory';
+const HISTORY_MAX_ENTRIES = 1000;
+
+// Settings export/import
+const SETTINGS_EXPORT_FORMAT = 'discotify-settings';
+const SETTINGS_EXPORT_VERSION = 1;
+const DISCOGS_KEY_PATTERN = /^(release|master):\d+$/;
+
+// Result badges
+const BATCH_CONCURRENCY = 3; // Releases of a badge batch searched at the same time
+
+// Artist pages
+const MAX_ARTIST_CANDIDATES = 3; // Same-named Spotify artists compared by discography
+const ARTIST_ALBUM_PAGES = 4; // Of 50 albums each
+
+// Playlist export pacing
+const EXPORT_SEARCH_DELAY = 500; // Between releases that needed a Spotify search
+const DISCOGS_PAGE_DELAY = 1000; // Between Discogs API pages
+const DISCOGS_RATE_LIMIT_WAIT = 60 * 1000; // Discogs limits per rolling minute
+const DISCOGS_WAIT_TICK = 10 * 1000; // Progress interval while waiting out the limit
+
+// Spotify request scheduling
+const SPOTIFY_CONCURRENCY = 4; // Requests in flight at once, across all tabs
 
 /**
- * Credentials loaded from chrome.storage.local
- *
- * SECURITY NOTE: Client credentials are stored in the browser's local storage.
- * This is necessary for the extension to function but users should be aware
- * that these credentials are accessible to anyone with access to the browser.
- * The credentials are only used to authenticate with Spotify's API and are
- * never transmitted elsewhere.
+ * Client credentials. The Client ID is stored as is in chrome.storage.local;
+ * the Client Secret is stored encrypted (see secrets.js) and is null here
+ * while locked by a passphrase. Neither is sent anywhere but Spotify.
  */
 let clientId = null;
 let clientSecret = null;
 
-// Token storage
+// Token storage (Client Credentials flow)
 let accessToken = null;
 let tokenExpiresAt = null;
 
+/**
+ * Logged-in user session (Authorization Code + PKCE flow), or null
+ * { accessToken, refreshToken, expiresAt, scope, user: { id, displayName, country } }
+ * accessToken and expiresAt are kept in session storage, the rest in local storage.
+ */
+let userAuth = null;
+
+/**
+ * All Spotify requests (API and token) go through this queue, which caps
+ * concurrency, waits out 429s and retries 5xx errors. Use it like fetch().
+ */
+const spotifyFetch = createRequestScheduler({ name: 'Spotify', concurrency: SPOTIFY_CONCURRENCY }).schedule;
+
 // =============================================================================
 // Message Handling
 // =============================================================================
 
+// Handlers rely on the credentials and tokens initialize() restores, so a
+// message that wakes the service worker waits for it
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'SEARCH_SPOTIFY') {
-    handleSpotifySearch(message.payload)
+  initialization.then(() => {
+    if (!handleMessage(message, sender, sendResponse)) {
+      sendResponse(null);
+    }
+  });
+  return true;
+});
+
+/**
+ * @returns {boolean} Whether the message type is handled; each handler responds asynchronously
+ */
+function handleMessage(message, sender, sendResponse) {
+  if (message.type === 'SEARCH_RELEASE') {
+    searchRelease(message.payload, { lookupBarcodes: message.lookupBarcodes === true })
       .then(sendResponse)
       .catch((error) => {
         console.error('[Discotify] Search error:', error);
@@ -40,10 +159,309 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === 'RESOLVE_ARTIST') {
+    resolveArtist(message.payload)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Artist search error:', error);
+        sendResponse(null);
+      });
+    return true;
+  }
+
+  if (message.type === 'MATCH_DISCOGRAPHY') {
+    matchDiscography(message.payload)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Discography error:', error);
+        sendResponse([]);
+      });
+    return true;
+  }
+
+  if (message.type === 'MATCH_RELEASES') {
+    matchReleases(message.payload)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Batch match error:', error);
+        sendResponse([]);
+      });
+    return true;
+  }
+
+  if (message.type === 'GET_PROVIDERS') {
+    getProviderSettings()
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Providers error:', error);
+        sendResponse([]);
+      });
+    return true;
+  }
+
+  if (message.type === 'GET_CACHE_STATS') {
+    getMatchCacheStats()
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Cache stats error:', error);
+        sendResponse(null);
+      });
+    return true;
+  }
+
+  if (message.type === 'CLEAR_CACHE') {
+    clearMatchCache()
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('[Discotify] Cache clear error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'SEARCH_TRACK') {
+    handleTrackSearch(message.payload)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Track search error:', error);
+        sendResponse(null);
+      });
+    return true;
+  }
+
+  if (message.type === 'MATCH_TRACKLIST') {
+    matchTracklist(message.payload)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Tracklist match error:', error);
+        sendResponse(null);
+      });
+    return true;
+  }
+
+  if (message.type === 'SAVE_TRACKS_PLAYLIST') {
+    saveTracksAsPlaylist(message.payload)
+      .then((url) => sendResponse({ success: true, url }))
+      .catch((error) => {
+        console.error('[Discotify] Save playlist error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'GET_CANDIDATES') {
+    getAlbumCandidates(message.payload)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Candidates error:', error);
+        sendResponse([]);
+      });
+    return true;
+  }
+
+  if (message.type === 'SET_OVERRIDE') {
+    setOverride(message.payload)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('[Discotify] Override error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'GET_OVERRIDES') {
+    getOverrides()
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Overrides error:', error);
+        sendResponse({});
+      });
+    return true;
+  }
+
+  if (message.type === 'DELETE_OVERRIDE') {
+    deleteOverride(message.key)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('[Discotify] Override delete error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'RECORD_HISTORY') {
+    recordHistory(message.payload)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('[Discotify] History error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'MARK_HISTORY_INTERACTED') {
+    markHistoryInteracted(message.payload)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('[Discotify] History error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'GET_HISTORY') {
+    getHistory()
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] History error:', error);
+        sendResponse([]);
+      });
+    return true;
+  }
+
+  if (message.type === 'DELETE_HISTORY') {
+    deleteHistory(message.keys)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('[Discotify] History delete error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'EXPORT_SETTINGS') {
+    exportSettings(message.payload)
+      .then((data) => sendResponse({ success: true, data }))
+      .catch((error) => {
+        console.error('[Discotify] Settings export error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'IMPORT_SETTINGS') {
+    importSettings(message.payload)
+      .then((summary) => sendResponse({ success: true, summary }))
+      .catch((error) => {
+        console.error('[Discotify] Settings import error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'GET_LIBRARY_STATE') {
+    getLibraryState(message.payload)
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Library state error:', error);
+        sendResponse({ loggedIn: false });
+      });
+    return true;
+  }
+
+  if (message.type === 'SAVE_ALBUM') {
+    saveAlbumToLibrary(message.payload.albumId)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('[Discotify] Save album error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'FOLLOW_ARTIST') {
+    followArtist(message.payload.artistId)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        console.error('[Discotify] Follow artist error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'GET_PLAYLISTS') {
+    getEditablePlaylists()
+      .then((playlists) => sendResponse({ success: true, playlists }))
+      .catch((error) => {
+        console.error('[Discotify] Playlists error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'ADD_TO_PLAYLIST') {
+    addAlbumToPlaylist(message.payload.albumId, message.payload.playlistId)
+      .then((added) => sendResponse({ success: true, added }))
+      .catch((error) => {
+        console.error('[Discotify] Add to playlist error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'GET_MARKET') {
+    resolveMarket()
+      .then(sendResponse)
+      .catch((error) => {
+        console.error('[Discotify] Market error:', error);
+        sendResponse(null);
+      });
+    return true;
+  }
+
   if (message.type === 'GET_AUTH_STATUS') {
-    const isConfigured = !!(clientId && clientSecret);
-    const isAuthenticated = isConfigured && !!accessToken && Date.now() < tokenExpiresAt;
-    sendResponse({ isAuthenticated, isConfigured });
+    getSecretStatus()
+      .then(({ locked }) => {
+        const mode = getAuthMode();
+        const isConfigured = !!(clientId && (clientSecret || userAuth || locked));
+        const isAuthenticated = mode === 'user' ||
+          (mode === 'client' && !!accessToken && Date.now() < tokenExpiresAt);
+        sendResponse({ isAuthenticated, isConfigured, isLocked: locked, mode, user: userAuth?.user || null });
+      })
+      .catch((error) => {
+        console.error('[Discotify] Auth status error:', error);
+        sendResponse(null);
+      });
+    return true;
+  }
+
+  if (message.type === 'GET_CREDENTIALS') {
+    Promise.all([chrome.storage.local.get('spotifyClientId'), getSecretStatus()])
+      .then(([stored, status]) => sendResponse({ clientId: stored.spotifyClientId || '', ...status }))
+      .catch((error) => {
+        console.error('[Discotify] Credentials error:', error);
+        sendResponse(null);
+      });
+    return true;
+  }
+
+  if (message.type === 'SAVE_CREDENTIALS') {
+    saveCredentials(message.payload)
+      .then((success) => sendResponse({ success }))
+      .catch((error) => {
+        console.error('[Discotify] Auth error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'UNLOCK_SECRET') {
+    unlockCredentials(message.payload.passphrase)
+      .then((success) => sendResponse({ success }))
+      .catch((error) => {
+        console.error('[Discotify] Unlock error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
+  if (message.type === 'LOGIN') {
+    loginWithSpotify()
+      .then((user) => sendResponse({ success: true, user }))
+      .catch((error) => {
+        console.error('[Discotify] Login error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
     return true;
   }
 
@@ -59,12 +477,47 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 
   if (message.type === 'LOGOUT') {
-    accessToken = null;
-    tokenExpiresAt = null;
-    chrome.storage.local.remove(['spotifyToken', 'spotifyTokenExpires']);
-    sendResponse({ success: true });
+    // Ends the user session; Client Credentials (if configured) take over
+    clearUserAuth()
+      .then(() => sendResponse({ success: true, mode: getAuthMode() }))
+      .catch((error) => {
+        console.error('[Discotify] Logout error:', error);
+        sendResponse({ success: false, error: error.message });
+      });
     return true;
   }
+
+  return false;
+}
+
+// Long-running playlist exports report progress over a port
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'playlist-export') return;
+
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+  });
+
+  const post = (message) => {
+    if (!disconnected) port.postMessage(message);
+  };
+
+  port.onMessage.addListener((message) => {
+    if (message.type !== 'START_EXPORT') return;
+
+    initialization
+      .then(() => exportToPlaylist(
+        message.payload,
+        (progress) => post({ type: 'EXPORT_PROGRESS', progress }),
+        () => disconnected
+      ))
+      .then((report) => post({ type: 'EXPORT_DONE', report }))
+      .catch((error) => {
+        console.error('[Discotify] Export error:', error);
+        post({ type: 'EXPORT_ERROR', error: error.message });
+      });
+  });
 });
 
 // =============================================================================
@@ -74,22 +527,29 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 async function initialize() {
   console.log('[Discotify] Initializing background service...');
 
+  // Earlier versions kept the secret in plain text and tokens in local storage
+  await migrateLegacySecret();
+  await chrome.storage.local.remove(['spotifyToken', 'spotifyTokenExpires']);
+
   // Load credentials from storage
-  const stored = await chrome.storage.local.get([
-    'spotifyClientId',
-    'spotifyClientSecret',
-    'spotifyToken',
-    'spotifyTokenExpires'
-  ]);
+  const stored = await chrome.storage.local.get(['spotifyClientId', USER_AUTH_KEY]);
+  const session = await chrome.storage.session.get([CLIENT_TOKEN_KEY, USER_TOKEN_KEY]);
 
   clientId = stored.spotifyClientId || null;
-  clientSecret = stored.spotifyClientSecret || null;
+  clientSecret = await loadSecret();
+
+  if (stored[USER_AUTH_KEY]) {
+    // Without a session token, expiresAt is unset and the first request refreshes it
+    userAuth = { ...stored[USER_AUTH_KEY], ...session[USER_TOKEN_KEY] };
+    console.log('[Discotify] Restored user session for', userAuth.user?.displayName);
+  }
 
   // Try to restore existing token
-  if (stored.spotifyToken && stored.spotifyTokenExpires > Date.now()) {
-    accessToken = stored.spotifyToken;
-    tokenExpiresAt = stored.spotifyTokenExpires;
-    console.log('[Discotify] Restored Spotify token from storage');
+  const token = session[CLIENT_TOKEN_KEY];
+  if (token && token.expiresAt > Date.now()) {
+    accessToken = token.accessToken;
+    tokenExpiresAt = token.expiresAt;
+    console.log('[Discotify] Restored Spotify token from session');
     return;
   }
 
@@ -97,12 +557,17 @@ async function initialize() {
   if (clientId && clientSecret) {
     console.log('[Discotify] Getting new token...');
     await getClientCredentialsToken();
+  } else if ((await getSecretStatus()).locked) {
+    console.log('[Discotify] Client Secret is locked until the passphrase is entered');
   } else {
     console.log('[Discotify] No credentials configured yet');
   }
 }
 
-initialize();
+// Message and port handlers wait for this; a failed start still lets them run
+const initialization = initialize().catch((error) => {
+  console.error('[Discotify] Initialization error:', error);
+});
 
 // =============================================================================
 // Credentials & Authentication
@@ -112,11 +577,14 @@ initialize();
  * Load credentials from storage and authenticate
  */
 async function loadCredentialsAndAuthenticate() {
-  const stored = await chrome.storage.local.get(['spotifyClientId', 'spotifyClientSecret']);
+  const stored = await chrome.storage.local.get('spotifyClientId');
 
   clientId = stored.spotifyClientId || null;
-  clientSecret = stored.spotifyClientSecret || null;
+  clientSecret = await loadSecret();
 
+  if (!clientSecret && (await getSecretStatus()).locked) {
+    throw new Error('Client Secret is locked, enter your passphrase');
+  }
   if (!clientId || !clientSecret) {
     throw new Error('Credentials not configured');
   }
@@ -124,6 +592,41 @@ async function loadCredentialsAndAuthenticate() {
   return await getClientCredentialsToken();
 }
 
+/**
+ * Save credentials from the popup and authenticate with them
+ * @param {{clientId: string, clientSecret?: string, passphrase?: string}} payload -
+ *   Without a clientSecret the saved one is kept, re-encrypted with the
+ *   passphrase if one is given
+ */
+async function saveCredentials({ clientId: newClientId, clientSecret: newSecret, passphrase }) {
+  if (!newSecret && passphrase) {
+    const savedSecret = await loadSecret();
+    if (!savedSecret) {
+      throw new Error((await getSecretStatus()).locked
+        ? 'Unlock the Client Secret before changing its passphrase'
+        : 'Enter your Client Secret to protect it with a passphrase');
+    }
+    newSecret = savedSecret;
+  }
+
+  await chrome.storage.local.set({ spotifyClientId: newClientId });
+  if (newSecret) {
+    await storeSecret(newSecret, passphrase || null);
+  }
+
+  accessToken = null;
+  tokenExpiresAt = null;
+  return await loadCredentialsAndAuthenticate();
+}
+
+/**
+ * Unlock a passphrase-protected Client Secret for this browser session
+ */
+async function unlockCredentials(passphrase) {
+  clientSecret = await unlockSecret(passphrase);
+  return await loadCredentialsAndAuthenticate();
+}
+
 /**
  * Get an access token using Client Credentials Flow
  */
@@ -136,7 +639,7 @@ async function getClientCredentialsToken() {
   try {
     const credentials = btoa(`${clientId}:${clientSecret}`);
 
-    const response = await fetch(SPOTIFY_TOKEN_URL, {
+    const response = await spotifyFetch(SPOTIFY_TOKEN_URL, {
       method: 'POST',
       headers: {
         'Authorization': `Basic ${credentials}`,
@@ -156,10 +659,9 @@ async function getClientCredentialsToken() {
     accessToken = data.access_token;
     tokenExpiresAt = Date.now() + (data.expires_in * 1000) - 60000; // Refresh 1 min early
 
-    // Save to storage
-    await chrome.storage.local.set({
-      spotifyToken: accessToken,
-      spotifyTokenExpires: tokenExpiresAt
+    // Session storage survives service worker restarts, but not the browser
+    await chrome.storage.session.set({
+      [CLIENT_TOKEN_KEY]: { accessToken, expiresAt: tokenExpiresAt }
     });
 
     console.log('[Discotify] Successfully obtained Spotify token');
@@ -171,9 +673,14 @@ async function getClientCredentialsToken() {
 }
 
 /**
- * Ensure we have a valid token
+ * Ensure we have a valid token, preferring the logged-in user's token
+ * and falling back to Client Credentials
  */
 async function ensureValidToken() {
+  if (await ensureValidUserToken()) {
+    return true;
+  }
+
   if (!clientId || !clientSecret) {
     return false;
   }
@@ -184,243 +691,1779 @@ async function ensureValidToken() {
   return true;
 }
 
-// =============================================================================
-// Album Search
-// =============================================================================
-
 /**
- * Search Spotify for an album matching the given metadata
+ * Token to use for API calls that don't need user scopes
  */
-async function handleSpotifySearch(metadata) {
-  console.log('[Discotify] Searching for album:', metadata);
-
-  const hasToken = await ensureValidToken();
-
-  if (!hasToken) {
-    console.log('[Discotify] No valid token available');
-    return null;
+function getApiToken() {
+  if (userAuth && Date.now() < userAuth.expiresAt) {
+    return userAuth.accessToken;
   }
+  return accessToken;
+}
 
-  const { artist, album } = metadata;
-
-  if (!artist && !album) {
-    console.log('[Discotify] No search terms provided');
-    return null;
+/**
+ * Obtain a fresh token after the API rejected the current one
+ */
+async function renewApiToken() {
+  if (userAuth && await refreshUserToken()) {
+    return true;
   }
 
-  // Clean search terms
+  accessToken = null;
+  tokenExpiresAt = null;
+  return await getClientCredentialsToken();
+}
+
+/**
+ * Which authentication mode is active: 'user', 'client' or null
+ */
+function getAuthMode() {
+  if (userAuth) return 'user';
+  if (clientId && clientSecret) return 'client';
+  return null;
+}
+
+// =============================================================================
+// User Login (Authorization Code + PKCE)
+// =============================================================================
+
+function getRedirectUri() {
+  return chrome.identity.getRedirectURL();
+}
+
+function base64UrlEncode(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function generateRandomString(byteLength) {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+async function createCodeChallenge(codeVerifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  return base64UrlEncode(digest);
+}
+
+/**
+ * Log the user in through Spotify's consent screen.
+ * PKCE only needs the Client ID, so no secret is required for this flow.
+ * @returns {Promise<Object>} The logged-in user's profile
+ */
+async function loginWithSpotify() {
+  const stored = await chrome.storage.local.get('spotifyClientId');
+  clientId = stored.spotifyClientId || null;
+
+  if (!clientId) {
+    throw new Error('Client ID not configured');
+  }
+
+  const codeVerifier = generateRandomString(64);
+  const state = generateRandomString(16);
+
+  const params = new URLSearchParams({
+    client_id: clientId,
+    response_type: 'code',
+    redirect_uri: getRedirectUri(),
+    code_challenge_method: 'S256',
+    code_challenge: await createCodeChallenge(codeVerifier),
+    scope: SPOTIFY_USER_SCOPES.join(' '),
+    state
+  });
+
+  const responseUrl = await chrome.identity.launchWebAuthFlow({
+    url: `${SPOTIFY_AUTHORIZE_URL}?${params}`,
+    interactive: true
+  });
+
+  const result = new URL(responseUrl).searchParams;
+
+  if (result.get('error')) {
+    throw new Error(`Login failed (${result.get('error')})`);
+  }
+  if (result.get('state') !== state) {
+    throw new Error('Login failed (state mismatch)');
+  }
+
+  await requestUserToken({
+    grant_type: 'authorization_code',
+    code: result.get('code'),
+    redirect_uri: getRedirectUri(),
+    client_id: clientId,
+    code_verifier: codeVerifier
+  });
+
+  userAuth.user = await fetchUserProfile();
+  await saveUserAuth();
+
+  console.log('[Discotify] Logged in as', userAuth.user.displayName);
+  return userAuth.user;
+}
+
+/**
+ * Exchange an authorization code or refresh token for a user access token
+ */
+async function requestUserToken(params) {
+  const response = await spotifyFetch(SPOTIFY_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    console.error('[Discotify] User token request failed:', response.status, errorText);
+    const error = new Error(`Authentication failed (${response.status})`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+
+  userAuth = {
+    ...userAuth,
+    accessToken: data.access_token,
+    // Spotify may rotate the refresh token; keep the old one if it didn't
+    refreshToken: data.refresh_token || userAuth?.refreshToken,
+    expiresAt: Date.now() + (data.expires_in * 1000) - 60000, // Refresh 1 min early
+    scope: data.scope
+  };
+
+  await saveUserAuth();
+}
+
+/**
+ * Persist the user session: the access token to session storage, the refresh
+ * token and profile to local storage so the login survives browser restarts
+ */
+async function saveUserAuth() {
+  const { accessToken: userToken, expiresAt, ...persistent } = userAuth;
+  await chrome.storage.session.set({ [USER_TOKEN_KEY]: { accessToken: userToken, expiresAt } });
+  await chrome.storage.local.set({ [USER_AUTH_KEY]: persistent });
+}
+
+/**
+ * Refresh the user's access token
+ * @returns {Promise<boolean>} Whether the session is still usable
+ */
+async function refreshUserToken() {
+  if (!userAuth?.refreshToken || !clientId) {
+    return false;
+  }
+
+  try {
+    await requestUserToken({
+      grant_type: 'refresh_token',
+      refresh_token: userAuth.refreshToken,
+      client_id: clientId
+    });
+    console.log('[Discotify] Refreshed user token');
+    return true;
+  } catch (error) {
+    // A 400 means the refresh token was revoked or expired
+    if (error.status === 400) {
+      console.log('[Discotify] User session expired, logging out');
+      await clearUserAuth();
+    }
+    return false;
+  }
+}
+
+/**
+ * Ensure the logged-in user's token is valid
+ */
+async function ensureValidUserToken() {
+  if (!userAuth) {
+    return false;
+  }
+
+  if (Date.now() < userAuth.expiresAt) {
+    return true;
+  }
+
+  return await refreshUserToken();
+}
+
+async function fetchUserProfile() {
+  const response = await spotifyFetch(`${SPOTIFY_API_URL}/me`, {
+    headers: { 'Authorization': `Bearer ${userAuth.accessToken}` }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Could not load Spotify profile (${response.status})`);
+  }
+
+  const data = await response.json();
+  return {
+    id: data.id,
+    displayName: data.display_name || data.id,
+    country: data.country || null
+  };
+}
+
+async function clearUserAuth() {
+  userAuth = null;
+  await chrome.storage.local.remove(USER_AUTH_KEY);
+  await chrome.storage.session.remove(USER_TOKEN_KEY);
+}
+
+// =============================================================================
+// Streaming Providers
+// =============================================================================
+
+/**
+ * A provider finds albums on one streaming service and says how to embed them:
+ *
+ *   id, name        - Stable key for settings/cache and the name shown to users
+ *   embedHeight     - Height of the embedded player in pixels
+ *   isAvailable()   - Whether it can search right now (e.g. has credentials)
+ *   getCacheScope() - Prefix for match cache keys, e.g. the Spotify market
+ *   getEmbedUrl(r)  - Player URL for a result
+ *
+ *   searchAlbum(m, options) - Best album for Discogs metadata, or null.
+ *                     options are the user's match settings, see getMatchSettings()
+ *
+ * Results carry the score, confidence and factors from describeMatch(), and
+ * may carry a purchaseUrl, shown as a "Buy on ..." link.
+ *
+ * Spotify lives in this file because login, library actions and playlist
+ * export share its session; other providers are modules under providers/.
+ */
+const spotifyProvider = {
+  id: 'spotify',
+  name: 'Spotify',
+  embedHeight: 352,
+  isAvailable: ensureValidToken,
+  getCacheScope: getMarket,
+  getEmbedUrl: (result) => `https://open.spotify.com/embed/${result.type || 'album'}/${result.id}?utm_source=generator&theme=0`,
+  searchAlbum: searchSpotifyAlbum
+};
+
+const PROVIDERS = {
+  [spotifyProvider.id]: spotifyProvider,
+  [deezerProvider.id]: deezerProvider,
+  [bandcampProvider.id]: bandcampProvider
+};
+
+/**
+ * The user's providers, primary first, then fallbacks in order. Falls back to
+ * the default order if none of the stored IDs is a known provider.
+ */
+async function getProviderOrder() {
+  const { providers } = await chrome.storage.sync.get('providers');
+  const known = Array.isArray(providers) ? providers.map((id) => PROVIDERS[id]).filter(Boolean) : [];
+  return known.length ? known : DEFAULT_PROVIDER_ORDER.map((id) => PROVIDERS[id]);
+}
+
+/**
+ * All providers for the popup, enabled ones first in the user's order
+ * @returns {Promise<Array<{id: string, name: string, enabled: boolean}>>}
+ */
+async function getProviderSettings() {
+  const enabled = await getProviderOrder();
+  const disabled = Object.values(PROVIDERS).filter((provider) => !enabled.includes(provider));
+
+  return [
+    ...enabled.map(({ id, name }) => ({ id, name, enabled: true })),
+    ...disabled.map(({ id, name }) => ({ id, name, enabled: false }))
+  ];
+}
+
+/**
+ * Add what the content script needs to show a result from a provider
+ */
+function withProviderInfo(result, provider) {
+  return {
+    ...result,
+    provider: provider.id,
+    providerName: provider.name,
+    embedUrl: provider.getEmbedUrl(result),
+    embedHeight: provider.embedHeight
+  };
+}
+
+// =============================================================================
+// Album Search
+// =============================================================================
+
+/**
+ * Find an album matching the given metadata, trying each provider in turn
+ * @param {Object} metadata - Discogs release metadata
+ * @param {Object} [options]
+ * @param {Array} [options.providers] - Providers to try, defaults to the user's order
+ * @param {boolean} [options.lookupBarcodes=false] - Ask the Discogs API for barcodes the
+ *   page doesn't show. Only single release pages do; bulk searches (badges, label
+ *   queues, playlist exports) would run through Discogs' unauthenticated rate limit.
+ */
+async function searchRelease(metadata, { providers, lookupBarcodes = false } = {}) {
+  console.log('[Discotify] Searching for album:', metadata);
+
+  const cacheKey = getMatchCacheKey(metadata);
+  if (cacheKey) {
+    const override = await getOverride(cacheKey);
+    if (override) {
+      console.log('[Discotify] Using manual override for', cacheKey);
+      // Overrides are shared across markets, so availability is checked each time
+      const playable = await isAlbumPlayable(override.result.id);
+      return withProviderInfo({ ...override.result, isOverride: true, playable }, spotifyProvider);
+    }
+  }
+
+  if (!metadata.artist && !metadata.album) {
+    console.log('[Discotify] No search terms provided');
+    return null;
+  }
+
+  const matchSettings = await getMatchSettings();
+  let searchMetadata = null;
+
+  for (const provider of providers || await getProviderOrder()) {
+    // One provider failing (bad credentials, an outage) shouldn't stop the others
+    const available = await provider.isAvailable().catch((error) => {
+      console.error(`[Discotify] ${provider.name} availability error:`, error);
+      return false;
+    });
+    if (!available) {
+      console.log(`[Discotify] ${provider.name} is not available, skipping`);
+      continue;
+    }
+
+    if (cacheKey) {
+      const cached = await getCachedMatch(cacheKey, provider);
+      if (cached) {
+        console.log(`[Discotify] ${provider.name} cache hit for`, cacheKey);
+        // The strictness may have been raised since the match was cached
+        if (cached.result && isAcceptedMatch(cached.result, matchSettings)) {
+          return withProviderInfo(cached.result, provider);
+        }
+        continue;
+      }
+    }
+
+    if (!searchMetadata) {
+      // Barcodes come from the page, or from the Discogs API when the page has none
+      const barcodes = metadata.barcodes?.length || !lookupBarcodes
+        ? metadata.barcodes || []
+        : await fetchDiscogsBarcodes(metadata);
+      // Badges and exports only send artist and title, so "Various" marks compilations there
+      const isCompilation = Boolean(metadata.isCompilation || isVariousArtists(metadata.artist));
+      searchMetadata = { ...metadata, barcodes, isCompilation };
+    }
+
+    let result;
+    try {
+      result = await provider.searchAlbum(searchMetadata, matchSettings);
+    } catch (error) {
+      // Not cached, so the search runs again next time
+      console.error(`[Discotify] ${provider.name} search error:`, error);
+      continue;
+    }
+    if (cacheKey) await setCachedMatch(cacheKey, result, provider);
+    if (result) return withProviderInfo(result, provider);
+  }
+
+  console.log('[Discotify] No album match found');
+  return null;
+}
+
+/**
+ * Search several releases, a few at a time, for the result page badges.
+ * Cached matches come back immediately, so mostly new releases cost requests.
+ * @returns {Promise<Array<Object|null>>} Results in the order of the releases
+ */
+async function matchReleases(releases) {
+  const results = new Array(releases.length).fill(null);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < releases.length) {
+      const index = next++;
+      try {
+        results[index] = await searchRelease(releases[index]);
+      } catch (error) {
+        console.error('[Discotify] Search error:', error);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONCURRENCY, releases.length) }, worker));
+  return results;
+}
+
+// =============================================================================
+// Spotify Album Search
+// =============================================================================
+
+/**
+ * Search Spotify for an album matching the given metadata
+ * @param {Object} [options] - Match settings: { strictness, minScore, searchLimit }
+ */
+async function searchSpotifyAlbum(metadata, options = {}) {
+  const { artist, album, tracks } = metadata;
+
+  // Clean search terms
   const cleanArtist = cleanSearchTerm(artist);
   const cleanAlbum = cleanSearchTerm(album);
 
-  // Try search strategies in order of specificity
-  const strategies = [
-    // Strategy 1: Exact album + artist search
-    () => searchAlbums(`album:"${cleanAlbum}" artist:"${cleanArtist}"`, cleanArtist, cleanAlbum),
-    // Strategy 2: Album + artist without quotes
-    () => searchAlbums(`album:${cleanAlbum} artist:${cleanArtist}`, cleanArtist, cleanAlbum),
-    // Strategy 3: Simple combined search
-    () => searchAlbums(`${cleanArtist} ${cleanAlbum}`, cleanArtist, cleanAlbum),
-    // Strategy 4: Just album with artist filter in results
-    () => searchAlbums(`"${cleanAlbum}"`, cleanArtist, cleanAlbum),
-  ];
+  const search = (query) => () => searchAlbums(query, cleanArtist, cleanAlbum, tracks, options);
+
+  // Try search strategies in order of specificity
+  const strategies = [
+    // Strategy 0: Barcode/UPC lookup, an exact match when it hits
+    () => searchByIdentifiers(metadata.barcodes, cleanArtist, cleanAlbum),
+    ...(metadata.isCompilation
+      // Compilations: title, label and year instead of the "Various" credit
+      ? getCompilationQueries(metadata).map(search)
+      : [
+        // Strategy 1: Exact album + artist search
+        search(`album:"${cleanAlbum}" artist:"${cleanArtist}"`),
+        // Strategy 2: Album + artist without quotes
+        search(`album:${cleanAlbum} artist:${cleanArtist}`),
+        // Strategy 3: Simple combined search
+        search(`${cleanArtist} ${cleanAlbum}`),
+        // Strategy 4: Just album with artist filter in results
+        search(`"${cleanAlbum}"`)
+      ])
+  ];
+
+  for (const strategy of strategies) {
+    const result = await strategy();
+    if (result) {
+      console.log('[Discotify] Found album:', result.name, 'by', result.artist);
+      result.playable = await isAlbumPlayable(result.id);
+      return result;
+    }
+  }
+
+  console.log('[Discotify] No Spotify album match found');
+  return null;
+}
+
+/**
+ * Spotify queries for a Various Artists compilation, most specific first.
+ * Its "Various" credit finds nothing useful, so title, label and year do the
+ * searching and the per-track artists check the results.
+ */
+function getCompilationQueries(metadata) {
+  const { album, label, year } = getCompilationTerms(metadata);
+
+  return [
+    label && year && `album:"${album}" label:"${label}" year:${year}`,
+    label && `album:"${album}" label:"${label}"`,
+    year && `album:"${album}" year:${year}`,
+    `album:"${album}" artist:"${VARIOUS_ARTISTS}"`,
+    `"${album}"`
+  ].filter(Boolean);
+}
+
+/**
+ * Look the release up on Spotify by barcode (UPC/EAN)
+ */
+async function searchByIdentifiers(barcodes, expectedArtist, expectedAlbum) {
+  for (const upc of expandBarcodes(barcodes)) {
+    const albums = await fetchSearchResults(`upc:${upc}`, 'album');
+    if (!albums?.length) continue;
+
+    // Discogs barcodes are user-submitted, so make sure the hit is plausible
+    const [best] = scoreAlbums(albums, expectedArtist, expectedAlbum, null, describeSpotifyAlbum);
+    if (best.score >= MIN_IDENTIFIER_SCORE) {
+      console.log('[Discotify] Exact match by UPC', upc);
+      return { ...formatAlbumResult(best.album), ...describeMatch(best, upc), matchType: 'exact' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether an album can be played in the current market.
+ * Unknown (e.g. no token) counts as playable so we don't warn needlessly.
+ */
+async function isAlbumPlayable(albumId) {
+  if (!await ensureValidToken()) return true;
+
+  try {
+    const market = await getMarket();
+    const response = await spotifyFetch(`${SPOTIFY_API_URL}/albums/${albumId}?market=${market}`, {
+      headers: { 'Authorization': `Bearer ${getApiToken()}` }
+    });
+
+    if (!response.ok) return true;
+
+    const album = await response.json();
+    return (album.tracks?.items || []).some((track) => track.is_playable !== false);
+  } catch (error) {
+    console.error('[Discotify] Playability check error:', error);
+    return true;
+  }
+}
+
+/**
+ * Search for albums on Spotify
+ */
+async function searchAlbums(query, expectedArtist, expectedAlbum, expectedTracks, options) {
+  const albums = await fetchAlbums(query, options.searchLimit);
+
+  if (!albums || albums.length === 0) {
+    return null;
+  }
+
+  // Find the best matching album
+  return findBestAlbumMatch(albums, expectedArtist, expectedAlbum, expectedTracks, options);
+}
+
+/**
+ * Run a Spotify album search and return the raw album items
+ * @returns {Promise<Array>} Album items; rejects if the request failed
+ */
+async function fetchAlbums(query, limit) {
+  return fetchSearchResults(query, 'album', limit);
+}
+
+/**
+ * Run a Spotify search for a single item type ("album" or "track")
+ * A failed request (rate limit, server or network error) rejects rather than
+ * returning nothing, so callers don't mistake an outage for "no results" and
+ * cache it as a no-match.
+ * @returns {Promise<Array>} Result items
+ */
+async function fetchSearchResults(query, type, limit = DEFAULT_SEARCH_LIMIT) {
+  const market = await getMarket();
+  const url = `${SPOTIFY_API_URL}/search?q=${encodeURIComponent(query)}&type=${type}&limit=${limit}&market=${market}`;
+
+  console.log('[Discotify] Query:', query);
+
+  const response = await spotifyFetch(url, {
+    headers: { 'Authorization': `Bearer ${getApiToken()}` }
+  });
+
+  if (!response.ok) {
+    if (response.status === 401) {
+      const refreshed = await renewApiToken();
+      if (refreshed) {
+        return fetchSearchResults(query, type, limit);
+      }
+    }
+    throw new Error(`Spotify search failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data[`${type}s`]?.items || [];
+}
+
+/**
+ * Score albums and refine the top candidates by comparing their tracklists
+ * @returns {Promise<Array<{album: Object, score: number}>>}
+ */
+async function scoreAlbumsWithTracks(albums, expectedArtist, expectedAlbum, expectedTracks) {
+  const scored = scoreAlbums(albums, expectedArtist, expectedAlbum, expectedTracks, describeSpotifyAlbum);
+
+  if (!expectedTracks?.length) {
+    return scored;
+  }
+
+  const top = scored.slice(0, TRACK_MATCH_CANDIDATES);
+  const albumTracks = await fetchAlbumTracks(top.map((entry) => entry.album.id));
+
+  top.forEach((entry) => {
+    const tracks = albumTracks.get(entry.album.id);
+    if (tracks) {
+      const comparable = tracks.map((track) => ({
+        title: track.name,
+        duration: Math.round(track.duration_ms / 1000),
+        artists: track.artists?.map((artist) => artist.name) || []
+      }));
+      addTracklistScore(entry, scoreTracklist(expectedTracks, comparable, entry.album.total_tracks));
+    }
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+  return scored;
+}
+
+/**
+ * Fetch tracklists for several albums in one request
+ * @returns {Promise<Map<string, Array>>} Album ID to its (first 50) tracks
+ */
+async function fetchAlbumTracks(albumIds) {
+  const tracksById = new Map();
+
+  try {
+    const market = await getMarket();
+    const response = await spotifyFetch(`${SPOTIFY_API_URL}/albums?ids=${albumIds.join(',')}&market=${market}`, {
+      headers: { 'Authorization': `Bearer ${getApiToken()}` }
+    });
+
+    if (!response.ok) {
+      console.error('[Discotify] Album tracks request failed:', response.status);
+      return tracksById;
+    }
+
+    const data = await response.json();
+    (data.albums || []).forEach((album) => {
+      if (album) tracksById.set(album.id, album.tracks?.items || []);
+    });
+  } catch (error) {
+    console.error('[Discotify] Album tracks error:', error);
+  }
+
+  return tracksById;
+}
+
+/**
+ * Find the best matching album from results
+ * @param {Object} [options] - Match settings deciding which scores are accepted
+ */
+async function findBestAlbumMatch(albums, expectedArtist, expectedAlbum, expectedTracks, options) {
+  const scored = await scoreAlbumsWithTracks(albums, expectedArtist, expectedAlbum, expectedTracks);
+
+  // Log top matches for debugging
+  console.log('[Discotify] Top matches:', scored.slice(0, 3).map(s =>
+    `${s.album.name} by ${s.album.artists[0]?.name} (score: ${s.score})`
+  ));
+
+  // Return best match if score is good enough
+  const best = scored[0];
+  if (!best) return null;
+
+  const match = describeMatch(best);
+  return isAcceptedMatch(match, options) ? { ...formatAlbumResult(best.album), ...match } : null;
+}
+
+/**
+ * Map a Spotify album onto the fields the shared scoring looks at
+ */
+function describeSpotifyAlbum(album) {
+  return {
+    name: album.name,
+    artists: album.artists.map((artist) => artist.name),
+    albumType: album.album_type,
+    totalTracks: album.total_tracks
+  };
+}
+
+/**
+ * Convert a Spotify album object into the result shape sent to the content script
+ */
+function formatAlbumResult(album) {
+  return {
+    uri: album.uri,
+    id: album.id,
+    type: 'album',
+    name: album.name,
+    artist: album.artists?.[0]?.name,
+    artistId: album.artists?.[0]?.id,
+    image: album.images?.[0]?.url,
+    url: album.external_urls?.spotify,
+    totalTracks: album.total_tracks,
+    year: album.release_date?.slice(0, 4) || null
+  };
+}
+
+/**
+ * Collect scored candidates from several searches for the manual album chooser
+ */
+async function getAlbumCandidates(metadata) {
+  const hasToken = await ensureValidToken();
+
+  if (!hasToken) {
+    console.log('[Discotify] No valid token available');
+    return [];
+  }
+
+  const cleanArtist = cleanSearchTerm(metadata.artist);
+  const cleanAlbum = cleanSearchTerm(metadata.album);
+
+  const queries = metadata.isCompilation || isVariousArtists(metadata.artist)
+    ? getCompilationQueries(metadata)
+    : [
+      `album:"${cleanAlbum}" artist:"${cleanArtist}"`,
+      `${cleanArtist} ${cleanAlbum}`,
+      `"${cleanAlbum}"`
+    ];
+
+  // Merge results from all queries, keeping each album once
+  const albumsById = new Map();
+  const { searchLimit } = await getMatchSettings();
+  for (const query of queries) {
+    const albums = await fetchAlbums(query, searchLimit);
+    (albums || []).forEach((album) => {
+      if (!albumsById.has(album.id)) {
+        albumsById.set(album.id, album);
+      }
+    });
+  }
+
+  const scored = await scoreAlbumsWithTracks(
+    [...albumsById.values()], cleanArtist, cleanAlbum, metadata.tracks
+  );
+
+  return scored
+    .slice(0, MAX_CANDIDATES)
+    .map((entry) => withProviderInfo({ ...formatAlbumResult(entry.album), ...describeMatch(entry) }, spotifyProvider));
+}
+
+// =============================================================================
+// Artist Pages
+// =============================================================================
+
+/**
+ * Resolve a Discogs artist to a Spotify artist.
+ * Discogs tells same-named artists apart with "(2)" suffixes; Spotify doesn't,
+ * so when several Spotify artists share the name the one whose albums overlap
+ * most with the Discogs discography wins.
+ * @param {{discogsId: string, name: string}} payload
+ */
+async function resolveArtist({ discogsId, name }) {
+  const cacheKey = discogsId ? `artist:${discogsId}` : null;
+  if (cacheKey) {
+    const cached = await getCachedMatch(cacheKey);
+    if (cached) {
+      return cached.result;
+    }
+  }
+
+  if (!await ensureValidToken() || !name) {
+    return null;
+  }
+
+  const cleanName = cleanSearchTerm(name);
+  const expected = normalizeForComparison(cleanName);
+  const artists = await fetchSearchResults(`artist:"${cleanName}"`, 'artist');
+  if (!artists) return null;
+
+  // Results come by popularity, which the stable sort keeps as the tie-breaker
+  const scored = artists
+    .map((artist) => ({ artist, score: scoreNameMatch(normalizeForComparison(artist.name), expected) }))
+    .filter((entry) => entry.score >= 60)
+    .sort((a, b) => b.score - a.score);
+
+  const namesakes = scored.filter((entry) => entry.score === 100);
+  if (namesakes.length > 1 && discogsId) {
+    const titles = (await fetchDiscogsArtistReleases(discogsId)).map((release) => release.title);
+    for (const entry of namesakes.slice(0, MAX_ARTIST_CANDIDATES)) {
+      const albums = await fetchArtistAlbums(entry.artist.id);
+      entry.score += countTitleOverlap(titles, albums.map((album) => album.name));
+    }
+    scored.sort((a, b) => b.score - a.score);
+  }
+
+  const result = scored[0] ? formatArtistResult(scored[0].artist) : null;
+  console.log('[Discotify] Resolved artist', name, 'to', result?.name || 'nothing');
+
+  if (cacheKey) await setCachedMatch(cacheKey, result);
+  return result;
+}
+
+/**
+ * Link a Discogs artist's main releases to albums of the matched Spotify artist
+ * @param {{discogsId: string, spotifyArtistId: string}} payload
+ * @returns {Promise<Array<{title: string, year: number, discogsUrl: string, album: Object|null}>>}
+ */
+async function matchDiscography({ discogsId, spotifyArtistId }) {
+  if (!await ensureValidToken()) return [];
+
+  const [releases, albums] = await Promise.all([
+    fetchDiscogsArtistReleases(discogsId),
+    fetchArtistAlbums(spotifyArtistId)
+  ]);
+
+  const candidates = albums.map((album) => ({ album, title: normalizeForComparison(cleanSearchTerm(album.name)) }));
+
+  return releases.map((release) => {
+    const title = normalizeForComparison(cleanSearchTerm(release.title));
+    const match = candidates.find((candidate) => candidate.title === title) ||
+      candidates.find((candidate) => fuzzyMatch(candidate.title, title) > 0.85);
+
+    return {
+      title: release.title,
+      year: release.year || null,
+      discogsUrl: `https://www.discogs.com/${release.type}/${release.id}`,
+      album: match ? withProviderInfo(formatAlbumResult(match.album), spotifyProvider) : null
+    };
+  });
+}
+
+/**
+ * Count titles present in both lists, compared loosely
+ */
+function countTitleOverlap(titles, otherTitles) {
+  const others = new Set(otherTitles.map((title) => normalizeForComparison(cleanSearchTerm(title))));
+  return titles.filter((title) => others.has(normalizeForComparison(cleanSearchTerm(title)))).length;
+}
+
+/**
+ * Fetch an artist's albums, singles and compilations (up to a few pages)
+ */
+async function fetchArtistAlbums(artistId) {
+  const albums = [];
+
+  try {
+    const market = await getMarket();
+    let url = `${SPOTIFY_API_URL}/artists/${artistId}/albums?include_groups=album,single,compilation&limit=50&market=${market}`;
+
+    for (let page = 0; url && page < ARTIST_ALBUM_PAGES; page++) {
+      const response = await spotifyFetch(url, {
+        headers: { 'Authorization': `Bearer ${getApiToken()}` }
+      });
+
+      if (!response.ok) {
+        console.error('[Discotify] Artist albums request failed:', response.status);
+        break;
+      }
+
+      const data = await response.json();
+      albums.push(...(data.items || []));
+      url = data.next;
+    }
+  } catch (error) {
+    console.error('[Discotify] Artist albums error:', error);
+  }
+
+  return albums;
+}
+
+function formatArtistResult(artist) {
+  return withProviderInfo({
+    uri: artist.uri,
+    id: artist.id,
+    type: 'artist',
+    name: artist.name,
+    image: artist.images?.[0]?.url,
+    url: artist.external_urls?.spotify
+  }, spotifyProvider);
+}
+
+// =============================================================================
+// Track Search
+// =============================================================================
+
+/**
+ * Search Spotify for a single track of a Discogs tracklist
+ * @param {Object} metadata - { discogsType, discogsId, position, artist, title, duration }
+ */
+async function handleTrackSearch(metadata) {
+  const releaseKey = getMatchCacheKey(metadata);
+  const cacheKey = releaseKey && metadata.position ? `${releaseKey}#${metadata.position}` : null;
+
+  if (cacheKey) {
+    const cached = await getCachedMatch(cacheKey);
+    if (cached) {
+      return cached.result;
+    }
+  }
+
+  const hasToken = await ensureValidToken();
+
+  if (!hasToken || !metadata.title) {
+    return null;
+  }
+
+  const cleanArtist = cleanSearchTerm(metadata.artist);
+  const cleanTitle = cleanSearchTerm(metadata.title);
+
+  const queries = [
+    `track:"${cleanTitle}" artist:"${cleanArtist}"`,
+    `${cleanArtist} ${cleanTitle}`
+  ];
+
+  let result = null;
+  for (const query of queries) {
+    const tracks = await fetchSearchResults(query, 'track');
+    result = tracks?.length
+      ? findBestTrackMatch(tracks, cleanArtist, cleanTitle, metadata.duration)
+      : null;
+    if (result) break;
+  }
+
+  if (cacheKey) await setCachedMatch(cacheKey, result);
+  return result;
+}
+
+/**
+ * Match every track of a release on its own, for when no album matches
+ * @returns {Promise<{tracks: Array, found: number, total: number}>}
+ */
+async function matchTracklist(metadata) {
+  const tracks = [];
+
+  for (const track of metadata.tracks || []) {
+    // A failed search leaves this track unmatched (and uncached) without ending the rest
+    const result = await handleTrackSearch({
+      discogsType: metadata.discogsType,
+      discogsId: metadata.discogsId,
+      position: track.position,
+      artist: track.artist || metadata.artist,
+      title: track.title,
+      duration: track.duration
+    }).catch((error) => {
+      console.error('[Discotify] Track search error:', error);
+      return null;
+    });
+    tracks.push({ position: track.position, title: track.title, result });
+  }
+
+  const found = tracks.filter((track) => track.result).length;
+  console.log(`[Discotify] Track fallback found ${found} of ${tracks.length} tracks`);
+
+  return { tracks, found, total: tracks.length };
+}
+
+/**
+ * Save matched tracks as a new private playlist
+ * @returns {Promise<string>} The playlist URL
+ */
+async function saveTracksAsPlaylist({ name, uris }) {
+  if (!await ensureValidUserToken()) {
+    throw new Error('Log in with Spotify to save playlists');
+  }
+
+  const playlist = await createPlaylist(name, 'Tracks matched from Discogs with Discotify');
+  await addTracksToPlaylist(playlist.id, uris);
+  return playlist.external_urls?.spotify || `https://open.spotify.com/playlist/${playlist.id}`;
+}
+
+/**
+ * Find the best matching track from results
+ * @param {number|null} expectedDuration - Discogs duration in seconds
+ */
+function findBestTrackMatch(tracks, expectedArtist, expectedTitle, expectedDuration) {
+  const normalizedArtist = normalizeForComparison(expectedArtist);
+  const normalizedTitle = normalizeTrackTitle(expectedTitle);
+
+  const scored = tracks.map((track) => {
+    let score = scoreNameMatch(normalizeTrackTitle(track.name), normalizedTitle);
+    score += scoreArtistMatch(track.artists.map((a) => normalizeForComparison(a.name)), normalizedArtist);
+
+    if (expectedDuration) {
+      const difference = Math.abs(track.duration_ms / 1000 - expectedDuration);
+      if (difference <= TRACK_DURATION_TOLERANCE) {
+        score += 20;
+      } else if (difference <= TRACK_DURATION_TOLERANCE * 3) {
+        score += 10;
+      }
+    }
+
+    return { track, score };
+  });
+
+  scored.sort((a, b) => b.score - a.score);
+
+  // Require a close title and artist match, durations help borderline cases
+  const best = scored[0];
+  if (best && best.score >= 125) {
+    return {
+      uri: best.track.uri,
+      id: best.track.id,
+      type: 'track',
+      name: best.track.name,
+      artist: best.track.artists?.[0]?.name,
+      url: best.track.external_urls?.spotify,
+      durationMs: best.track.duration_ms
+    };
+  }
+
+  return null;
+}
+
+// =============================================================================
+// User Library & Playlists
+// =============================================================================
+
+/**
+ * Call a user-scoped Spotify endpoint with the logged-in user's token
+ * @param {string} path - API path, e.g. "/me/albums?ids=..."
+ * @param {RequestInit} options - fetch options
+ * @param {boolean} retry - Whether to refresh and retry once on 401
+ */
+async function spotifyUserRequest(path, options = {}, retry = true) {
+  if (!await ensureValidUserToken()) {
+    throw new Error('Log in with Spotify to use this feature');
+  }
+
+  const response = await spotifyFetch(`${SPOTIFY_API_URL}${path}`, {
+    ...options,
+    headers: {
+      'Authorization': `Bearer ${userAuth.accessToken}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  if (response.status === 401 && retry && await refreshUserToken()) {
+    return spotifyUserRequest(path, options, false);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Spotify request failed (${response.status})`);
+  }
+
+  // Several library endpoints answer with an empty body
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+}
+
+/**
+ * Whether the album is saved and the artist followed by the logged-in user
+ */
+async function getLibraryState({ albumId, artistId }) {
+  if (!userAuth) {
+    return { loggedIn: false };
+  }
+
+  const [saved] = await spotifyUserRequest(`/me/albums/contains?ids=${albumId}`);
+  const [following] = artistId
+    ? await spotifyUserRequest(`/me/following/contains?type=artist&ids=${artistId}`)
+    : [false];
+
+  return { loggedIn: true, saved, following };
+}
+
+async function saveAlbumToLibrary(albumId) {
+  await spotifyUserRequest(`/me/albums?ids=${albumId}`, { method: 'PUT' });
+  console.log('[Discotify] Saved album to library:', albumId);
+}
 
-  for (const strategy of strategies) {
-    const result = await strategy();
-    if (result) {
-      console.log('[Discotify] Found album:', result.name, 'by', result.artist);
-      return result;
-    }
-  }
+async function followArtist(artistId) {
+  await spotifyUserRequest(`/me/following?type=artist&ids=${artistId}`, { method: 'PUT' });
+  console.log('[Discotify] Followed artist:', artistId);
+}
 
-  console.log('[Discotify] No album match found');
-  return null;
+/**
+ * Playlists the user can add tracks to (owned or collaborative)
+ */
+async function getEditablePlaylists() {
+  const playlists = await getAllPages('/me/playlists?limit=50');
+
+  return playlists
+    .filter((playlist) => playlist.owner?.id === userAuth.user?.id || playlist.collaborative)
+    .map((playlist) => ({ id: playlist.id, name: playlist.name }));
 }
 
 /**
- * Clean a search term for better matching
+ * Add every track of an album to a playlist
+ * @returns {Promise<number>} Number of tracks added
  */
-function cleanSearchTerm(term) {
-  if (!term) return '';
+async function addAlbumToPlaylist(albumId, playlistId) {
+  const uris = await getAlbumTrackUris(albumId);
+  await addTracksToPlaylist(playlistId, uris);
 
-  return term
-    // Remove Discogs disambiguation numbers like (2), (3)
-    .replace(/\s*\(\d+\)\s*$/g, '')
-    // Remove edition/version info in brackets
-    .replace(/\s*\[.*?\]\s*/g, '')
-    .replace(/\s*\(.*?edition.*?\)\s*/gi, '')
-    .replace(/\s*\(.*?remaster.*?\)\s*/gi, '')
-    .replace(/\s*\(.*?version.*?\)\s*/gi, '')
-    .replace(/\s*\(.*?deluxe.*?\)\s*/gi, '')
-    .replace(/\s*\(.*?bonus.*?\)\s*/gi, '')
-    // Normalize quotes
-    .replace(/['']/g, "'")
-    .replace(/[""]/g, '"')
-    // Clean whitespace
-    .replace(/\s+/g, ' ')
-    .trim();
+  console.log(`[Discotify] Added ${uris.length} tracks to playlist`, playlistId);
+  return uris.length;
 }
 
 /**
- * Search for albums on Spotify
+ * Follow a paginated user-scoped endpoint and collect every item
  */
-async function searchAlbums(query, expectedArtist, expectedAlbum) {
-  try {
-    // Only search for albums
-    const url = `${SPOTIFY_API_URL}/search?q=${encodeURIComponent(query)}&type=album&limit=20&market=US`;
+async function getAllPages(path) {
+  const items = [];
+
+  while (path) {
+    const data = await spotifyUserRequest(path);
+    items.push(...data.items);
+    path = data.next ? data.next.replace(SPOTIFY_API_URL, '') : null;
+  }
+
+  return items;
+}
+
+async function getAlbumTrackUris(albumId) {
+  const tracks = await getAllPages(`/albums/${albumId}/tracks?limit=50`);
+  return tracks.map((track) => track.uri);
+}
 
-    console.log('[Discotify] Query:', query);
+async function getPlaylistTrackUris(playlistId) {
+  const items = await getAllPages(`/playlists/${playlistId}/tracks?fields=items(track(uri)),next&limit=100`);
+  return items.map((item) => item.track?.uri).filter(Boolean);
+}
 
-    const response = await fetch(url, {
-      headers: { 'Authorization': `Bearer ${accessToken}` }
+async function addTracksToPlaylist(playlistId, uris) {
+  // The API accepts at most 100 tracks per request
+  for (let i = 0; i < uris.length; i += 100) {
+    await spotifyUserRequest(`/playlists/${playlistId}/tracks`, {
+      method: 'POST',
+      body: JSON.stringify({ uris: uris.slice(i, i + 100) })
     });
+  }
+}
 
-    if (!response.ok) {
-      if (response.status === 401) {
-        accessToken = null;
-        tokenExpiresAt = null;
-        const refreshed = await getClientCredentialsToken();
-        if (refreshed) {
-          return searchAlbums(query, expectedArtist, expectedAlbum);
-        }
-      }
-      console.error('[Discotify] Search failed:', response.status);
-      return null;
+async function createPlaylist(name, description) {
+  return spotifyUserRequest(`/users/${encodeURIComponent(userAuth.user.id)}/playlists`, {
+    method: 'POST',
+    body: JSON.stringify({ name, description, public: false })
+  });
+}
+
+// =============================================================================
+// Playlist Export
+// =============================================================================
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Match a set of Discogs releases and add their tracks to a playlist
+ * @param {Object} options
+ * @param {Object} [options.source] - Discogs collection/wantlist/list to fetch in full
+ * @param {Array} [options.items] - Releases scraped from the page, used when no source is given
+ * @param {string} [options.playlistId] - Existing playlist to update
+ * @param {string} [options.playlistName] - Name for a new playlist
+ * @param {Function} onProgress - Called with { phase, done, total, current }
+ * @param {Function} isCancelled - Returns true once the requesting tab went away
+ */
+async function exportToPlaylist(options, onProgress, isCancelled) {
+  if (!await ensureValidUserToken()) {
+    throw new Error('Log in with Spotify to export playlists');
+  }
+
+  const releases = options.source
+    ? await fetchDiscogsReleases(options.source, onProgress, isCancelled)
+    : options.items;
+
+  const uris = [];
+  const unmatched = [];
+  let matched = 0;
+
+  for (const [index, release] of releases.entries()) {
+    if (isCancelled()) {
+      throw new Error('Export cancelled');
     }
 
-    const data = await response.json();
-    const albums = data.albums?.items || [];
+    onProgress({
+      phase: 'matching',
+      done: index,
+      total: releases.length,
+      current: `${release.artist} - ${release.album}`
+    });
 
-    if (albums.length === 0) {
-      return null;
+    // Only pace releases that actually hit the Spotify search API
+    const key = getMatchCacheKey(release);
+    const wasCached = !!key && !!(await getOverride(key) || await getCachedMatch(key));
+
+    // Playlists are Spotify's, whatever the user's provider order
+    const match = await searchRelease(release, { providers: [spotifyProvider] });
+    if (match?.id) {
+      matched++;
+      uris.push(...await getAlbumTrackUris(match.id));
+    } else {
+      unmatched.push(release);
     }
 
-    // Find the best matching album
-    return findBestAlbumMatch(albums, expectedArtist, expectedAlbum);
-  } catch (error) {
-    console.error('[Discotify] Search error:', error);
-    return null;
+    if (!wasCached) {
+      await sleep(EXPORT_SEARCH_DELAY);
+    }
+  }
+
+  onProgress({ phase: 'saving', done: releases.length, total: releases.length });
+
+  let playlistId = options.playlistId;
+  let existing = new Set();
+
+  if (playlistId) {
+    existing = new Set(await getPlaylistTrackUris(playlistId));
+  } else {
+    const playlist = await createPlaylist(options.playlistName, 'Exported from Discogs with Discotify');
+    playlistId = playlist.id;
   }
+
+  const newUris = [...new Set(uris)].filter((uri) => !existing.has(uri));
+  await addTracksToPlaylist(playlistId, newUris);
+
+  console.log(`[Discotify] Exported ${matched}/${releases.length} releases to playlist`, playlistId);
+
+  return {
+    total: releases.length,
+    matched,
+    tracksAdded: newUris.length,
+    playlistUrl: `https://open.spotify.com/playlist/${playlistId}`,
+    unmatched
+  };
 }
 
 /**
- * Find the best matching album from results
+ * Fetch every release of a public Discogs collection folder, wantlist or list
+ * @param {{type: string, username?: string, folderId?: string, listId?: string}} source
  */
-function findBestAlbumMatch(albums, expectedArtist, expectedAlbum) {
-  const normalizedArtist = normalizeForComparison(expectedArtist);
-  const normalizedAlbum = normalizeForComparison(expectedAlbum);
-
-  // Score each album
-  const scored = albums.map(album => {
-    let score = 0;
-
-    const albumName = normalizeForComparison(album.name);
-    const artistNames = album.artists.map(a => normalizeForComparison(a.name));
-
-    // Album name matching (most important)
-    if (albumName === normalizedAlbum) {
-      score += 100; // Exact match
-    } else if (albumName.includes(normalizedAlbum) || normalizedAlbum.includes(albumName)) {
-      score += 60; // Partial match
-    } else if (fuzzyMatch(albumName, normalizedAlbum) > 0.7) {
-      score += 40; // Fuzzy match
-    }
+async function fetchDiscogsReleases(source, onProgress, isCancelled) {
+  // Export progress while waiting out the rate limit, which also keeps the worker alive
+  const waiting = (done, total) => (seconds) => onProgress({ phase: 'waiting', done, total, current: seconds });
+
+  if (source.type === 'list') {
+    const data = await fetchDiscogsApi(`/lists/${source.listId}`, { onWait: waiting(0, 1) });
+    return data.items
+      .filter((item) => item.type === 'release' || item.type === 'master')
+      .map((item) => {
+        // List items only carry a combined "Artist - Title"
+        const [artist, ...title] = item.display_title.split(' - ');
+        return {
+          discogsType: item.type,
+          discogsId: String(item.id),
+          artist: artist.trim(),
+          album: title.join(' - ').trim()
+        };
+      });
+  }
 
-    // Artist matching
-    const artistMatch = artistNames.some(name =>
-      name === normalizedArtist ||
-      name.includes(normalizedArtist) ||
-      normalizedArtist.includes(name)
-    );
+  const user = encodeURIComponent(source.username);
+  const basePath = source.type === 'wantlist'
+    ? `/users/${user}/wants`
+    : `/users/${user}/collection/folders/${source.folderId || 0}/releases`;
 
-    if (artistMatch) {
-      score += 50;
-    } else if (artistNames.some(name => fuzzyMatch(name, normalizedArtist) > 0.7)) {
-      score += 25;
-    }
+  const releases = [];
+  let page = 1;
+  let pages = 1;
 
-    // Prefer full albums over singles/compilations
-    if (album.album_type === 'album') {
-      score += 15;
-    } else if (album.album_type === 'single') {
-      score -= 10;
-    } else if (album.album_type === 'compilation') {
-      score -= 5;
+  while (page <= pages) {
+    if (isCancelled()) {
+      throw new Error('Export cancelled');
     }
 
-    // Prefer albums with more tracks (likely to be the full album)
-    if (album.total_tracks >= 8) {
-      score += 5;
+    onProgress({ phase: 'loading', done: page - 1, total: pages });
+
+    const data = await fetchDiscogsApi(`${basePath}?per_page=100&page=${page}`, { onWait: waiting(page - 1, pages) });
+    pages = data.pagination?.pages || 1;
+
+    (data.releases || data.wants || []).forEach(({ basic_information: info }) => {
+      releases.push({
+        discogsType: 'release',
+        discogsId: String(info.id),
+        artist: info.artists?.map((a) => a.name).join(', '),
+        album: info.title,
+        year: info.year ? String(info.year) : null
+      });
+    });
+
+    page++;
+    if (page <= pages) await sleep(DISCOGS_PAGE_DELAY);
+  }
+
+  return releases;
+}
+
+// =============================================================================
+// Discogs API
+// =============================================================================
+
+/**
+ * GET a public Discogs API resource, backing off when the rate limit runs out
+ * @param {string} path - API path, e.g. "/releases/123"
+ * @param {Object} [options]
+ * @param {boolean} [options.waitForRateLimit=true] - Wait out a 429 instead of failing.
+ *   Interactive lookups pass false so the player isn't held up for a minute.
+ * @param {Function} [options.onWait] - Called with the seconds left while waiting
+ */
+async function fetchDiscogsApi(path, { waitForRateLimit = true, onWait } = {}) {
+  const response = await fetch(`${DISCOGS_API_URL}${path}`);
+
+  if (response.status === 429 && waitForRateLimit) {
+    console.log('[Discotify] Discogs rate limit hit, waiting...');
+    await waitForDiscogsLimit(onWait);
+    return fetchDiscogsApi(path, { onWait });
+  }
+
+  if (!response.ok) {
+    throw new Error(`Discogs request failed (${response.status})`);
+  }
+
+  if (waitForRateLimit && response.headers.get('X-Discogs-Ratelimit-Remaining') === '0') {
+    await waitForDiscogsLimit(onWait);
+  }
+
+  return response.json();
+}
+
+/**
+ * Sleep through the Discogs rate limit window in steps, reporting the time left
+ * after each so a long wait isn't silent
+ */
+async function waitForDiscogsLimit(onWait) {
+  for (let left = DISCOGS_RATE_LIMIT_WAIT; left > 0; left -= DISCOGS_WAIT_TICK) {
+    onWait?.(Math.ceil(left / 1000));
+    await sleep(Math.min(left, DISCOGS_WAIT_TICK));
+  }
+}
+
+/**
+ * Read the barcodes of a release (or a master's main release) from the Discogs API
+ * @returns {Promise<string[]>} Barcodes as digit strings
+ */
+async function fetchDiscogsBarcodes(metadata) {
+  try {
+    let releaseId = metadata.discogsType === 'release' ? metadata.discogsId : null;
+
+    if (metadata.discogsType === 'master') {
+      const master = await fetchDiscogsApi(`/masters/${metadata.discogsId}`, { waitForRateLimit: false });
+      releaseId = master.main_release;
     }
 
-    return { album, score };
+    if (!releaseId) return [];
+
+    const release = await fetchDiscogsApi(`/releases/${releaseId}`, { waitForRateLimit: false });
+    return (release.identifiers || [])
+      .filter((identifier) => identifier.type === 'Barcode')
+      .map((identifier) => identifier.value.replace(/\D/g, ''));
+  } catch (error) {
+    console.error('[Discotify] Could not load Discogs identifiers:', error);
+    return [];
+  }
+}
+
+/**
+ * Read an artist's main releases (masters, or releases without one) from the Discogs API
+ * @returns {Promise<Array<{id: number, type: string, title: string, year: number}>>}
+ */
+async function fetchDiscogsArtistReleases(artistId) {
+  try {
+    const data = await fetchDiscogsApi(
+      `/artists/${artistId}/releases?sort=year&sort_order=desc&per_page=100`,
+      { waitForRateLimit: false }
+    );
+    return (data.releases || []).filter((release) => release.role === 'Main');
+  } catch (error) {
+    console.error('[Discotify] Discogs artist releases error:', error);
+    return [];
+  }
+}
+
+// =============================================================================
+// Market
+// =============================================================================
+
+/**
+ * Resolve the Spotify market (ISO country code) used for searches.
+ * An explicit setting wins, then the logged-in user's country, then the
+ * region of the browser locale.
+ * @returns {Promise<{market: string, source: string}>}
+ */
+async function resolveMarket() {
+  const { market } = await chrome.storage.sync.get('market');
+  if (market) {
+    return { market, source: 'setting' };
+  }
+
+  if (userAuth?.user?.country) {
+    return { market: userAuth.user.country, source: 'profile' };
+  }
+
+  const region = chrome.i18n.getUILanguage().split(/[-_]/)[1];
+  if (region?.length === 2) {
+    return { market: region.toUpperCase(), source: 'locale' };
+  }
+
+  return { market: DEFAULT_MARKET, source: 'default' };
+}
+
+async function getMarket() {
+  return (await resolveMarket()).market;
+}
+
+// =============================================================================
+// Match Cache
+// =============================================================================
+
+/**
+ * In-memory copy of the persisted match cache, loaded lazily.
+ * Entries are keyed by provider scope and Discogs entity ("US/release:123"
+ * for Spotify in the US market, "deezer/release:123") and hold
+ * the resolved result (or null for "no match") plus timestamps for TTL and LRU.
+ */
+let matchCache = null;
+let matchCacheSaveTimer = null;
+
+/**
+ * Build the cache key for a search request, or null if the page has no Discogs ID
+ */
+function getMatchCacheKey(metadata) {
+  if (!metadata.discogsType || !metadata.discogsId) return null;
+  return `${metadata.discogsType}:${metadata.discogsId}`;
+}
+
+async function loadMatchCache() {
+  if (!matchCache) {
+    const stored = await chrome.storage.local.get(MATCH_CACHE_KEY);
+    matchCache = stored[MATCH_CACHE_KEY] || {};
+  }
+  return matchCache;
+}
+
+async function saveMatchCache() {
+  clearTimeout(matchCacheSaveTimer);
+  matchCacheSaveTimer = null;
+  await chrome.storage.local.set({ [MATCH_CACHE_KEY]: matchCache });
+}
+
+/**
+ * Save the cache a little later, once for any number of changes in between.
+ * For lastUsed only: losing it when the worker stops just makes eviction less exact.
+ */
+function scheduleMatchCacheSave() {
+  if (matchCacheSaveTimer) return;
+  matchCacheSaveTimer = setTimeout(() => {
+    saveMatchCache().catch((error) => console.error('[Discotify] Cache save error:', error));
+  }, MATCH_CACHE_SAVE_DELAY);
+}
+
+function isCacheEntryExpired(entry) {
+  const ttl = entry.result ? MATCH_CACHE_TTL : NO_MATCH_CACHE_TTL;
+  return Date.now() - entry.cachedAt > ttl;
+}
+
+/**
+ * Look up a cached match
+ * @param {Object} [provider] - Provider the match came from, Spotify by default
+ * @returns {Promise<{result: Object|null}|null>} The entry, or null on a miss
+ */
+async function getCachedMatch(releaseKey, provider = spotifyProvider) {
+  const cache = await loadMatchCache();
+  const key = `${await provider.getCacheScope()}/${releaseKey}`;
+  const entry = cache[key];
+
+  if (!entry) return null;
+
+  if (isCacheEntryExpired(entry)) {
+    delete cache[key];
+    await saveMatchCache();
+    return null;
+  }
+
+  entry.lastUsed = Date.now();
+  scheduleMatchCacheSave();
+  return entry;
+}
+
+/**
+ * Store a match (or a "no match" when result is null), evicting the
+ * least recently used entries once the cache is over its size cap
+ */
+async function setCachedMatch(releaseKey, result, provider = spotifyProvider) {
+  const cache = await loadMatchCache();
+  const key = `${await provider.getCacheScope()}/${releaseKey}`;
+  const now = Date.now();
+
+  cache[key] = { result, cachedAt: now, lastUsed: now };
+
+  evictOldCacheEntries(cache);
+
+  await saveMatchCache();
+}
+
+/**
+ * Drop the least recently used entries once the cache is over its size cap
+ */
+function evictOldCacheEntries(cache) {
+  const keys = Object.keys(cache);
+  if (keys.length > MATCH_CACHE_MAX_ENTRIES) {
+    keys
+      .sort((a, b) => cache[a].lastUsed - cache[b].lastUsed)
+      .slice(0, keys.length - MATCH_CACHE_MAX_ENTRIES)
+      .forEach((oldKey) => delete cache[oldKey]);
+  }
+}
+
+/**
+ * Merge imported cache entries, keeping whichever copy was cached last
+ * @returns {Promise<number>} Entries taken from the import
+ */
+async function mergeMatchCache(entries) {
+  const cache = await loadMatchCache();
+  let merged = 0;
+
+  Object.entries(entries).forEach(([key, entry]) => {
+    if (!isImportedCacheEntry(key, entry) || isCacheEntryExpired(entry)) return;
+    if (cache[key] && cache[key].cachedAt >= entry.cachedAt) return;
+
+    cache[key] = { result: entry.result, cachedAt: entry.cachedAt, lastUsed: entry.lastUsed || entry.cachedAt };
+    merged++;
   });
 
-  // Sort by score
-  scored.sort((a, b) => b.score - a.score);
+  evictOldCacheEntries(cache);
 
-  // Log top matches for debugging
-  console.log('[Discotify] Top matches:', scored.slice(0, 3).map(s =>
-    `${s.album.name} by ${s.album.artists[0]?.name} (score: ${s.score})`
-  ));
+  await saveMatchCache();
+  return merged;
+}
 
-  // Return best match if score is good enough
-  const best = scored[0];
-  if (best && best.score >= 50) {
-    return {
-      uri: best.album.uri,
-      id: best.album.id,
-      type: 'album',
-      name: best.album.name,
-      artist: best.album.artists?.[0]?.name,
-      image: best.album.images?.[0]?.url,
-      url: best.album.external_urls?.spotify,
-      totalTracks: best.album.total_tracks
-    };
+/**
+ * Cache keys are "<scope>/<type>:<id>"; results are null for "no match"
+ */
+function isImportedCacheEntry(key, entry) {
+  return DISCOGS_KEY_PATTERN.test(key.split('/').pop()) &&
+    Number.isFinite(entry?.cachedAt) &&
+    (entry.result === null || typeof entry.result?.uri === 'string');
+}
+
+async function clearMatchCache() {
+  clearTimeout(matchCacheSaveTimer);
+  matchCacheSaveTimer = null;
+  matchCache = {};
+  await chrome.storage.local.remove(MATCH_CACHE_KEY);
+  console.log('[Discotify] Match cache cleared');
+}
+
+async function getMatchCacheStats() {
+  const cache = await loadMatchCache();
+  const entries = Object.values(cache).filter((entry) => !isCacheEntryExpired(entry));
+  return {
+    matches: entries.filter((entry) => entry.result).length,
+    noMatches: entries.filter((entry) => !entry.result).length
+  };
+}
+
+// =============================================================================
+// Manual Overrides
+// =============================================================================
+
+/**
+ * Overrides are user-picked albums keyed like the match cache ("release:123").
+ * They never expire and take precedence over both the cache and search.
+ */
+async function getOverrides() {
+  const stored = await chrome.storage.local.get(OVERRIDES_KEY);
+  return stored[OVERRIDES_KEY] || {};
+}
+
+async function getOverride(key) {
+  const overrides = await getOverrides();
+  return overrides[key] || null;
+}
+
+/**
+ * Save the user's album choice for a Discogs release
+ * @param {{metadata: Object, result: Object}} payload
+ */
+async function setOverride({ metadata, result }) {
+  const key = getMatchCacheKey(metadata);
+  if (!key) {
+    throw new Error('Page has no Discogs release ID');
   }
 
-  return null;
+  const overrides = await getOverrides();
+  // Drop chooser/display-only fields before persisting
+  const album = { ...result };
+  ['score', 'confidence', 'factors', 'matchType', 'isOverride', 'provider', 'providerName', 'embedUrl', 'embedHeight'].forEach((field) => {
+    delete album[field];
+  });
+
+  overrides[key] = {
+    result: album,
+    discogsArtist: metadata.artist,
+    discogsAlbum: metadata.album,
+    savedAt: Date.now()
+  };
+
+  await chrome.storage.local.set({ [OVERRIDES_KEY]: overrides });
+  console.log('[Discotify] Saved override for', key);
+}
+
+async function deleteOverride(key) {
+  const overrides = await getOverrides();
+  delete overrides[key];
+  await chrome.storage.local.set({ [OVERRIDES_KEY]: overrides });
+}
+
+// =============================================================================
+// Listening History
+// =============================================================================
+
+/**
+ * Matches shown on release pages, newest first. One entry per release:
+ * { key, discogsType, discogsId, discogsUrl, discogsArtist, discogsAlbum,
+ *   provider, albumId, albumName, albumArtist, albumUrl, timestamp, interacted }
+ */
+async function getHistory() {
+  const stored = await chrome.storage.local.get(HISTORY_KEY);
+  return stored[HISTORY_KEY] || [];
+}
+
+/**
+ * Log a match shown on a Discogs page. Seeing a release again moves it back
+ * to the top; whether it was listened to is kept.
+ * @param {{metadata: Object, result: Object, url: string}} payload
+ */
+async function recordHistory({ metadata, result, url }) {
+  const key = getMatchCacheKey(metadata);
+  if (!key || !result?.id) return;
+
+  const history = await getHistory();
+  const previous = history.find((entry) => entry.key === key);
+
+  const entry = {
+    key,
+    discogsType: metadata.discogsType,
+    discogsId: metadata.discogsId,
+    discogsUrl: url,
+    discogsArtist: metadata.artist,
+    discogsAlbum: metadata.album,
+    provider: result.provider || spotifyProvider.id,
+    albumId: result.id,
+    albumName: result.name,
+    albumArtist: result.artist,
+    albumUrl: result.url,
+    timestamp: Date.now(),
+    interacted: Boolean(previous?.interacted && previous.albumId === result.id)
+  };
+
+  const updated = [entry, ...history.filter((other) => other.key !== key)].slice(0, HISTORY_MAX_ENTRIES);
+  await chrome.storage.local.set({ [HISTORY_KEY]: updated });
+}
+
+/**
+ * Note that the user played (or otherwise used) the player for a release
+ */
+async function markHistoryInteracted({ metadata }) {
+  const key = getMatchCacheKey(metadata);
+  const history = await getHistory();
+  const entry = history.find((other) => other.key === key);
+  if (!entry || entry.interacted) return;
+
+  entry.interacted = true;
+  await chrome.storage.local.set({ [HISTORY_KEY]: history });
 }
 
 /**
- * Normalize string for comparison
+ * Delete history entries by key, or all of them when no keys are given
  */
-function normalizeForComparison(str) {
-  if (!str) return '';
-  return str
-    .toLowerCase()
-    .normalize('NFD')
-    .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
-    .replace(/[^\w\s]/g, ' ')        // Replace special chars with space
-    .replace(/\s+/g, ' ')            // Collapse whitespace
-    .trim();
+async function deleteHistory(keys) {
+  if (!keys) {
+    await chrome.storage.local.remove(HISTORY_KEY);
+    return;
+  }
+
+  const history = await getHistory();
+  await chrome.storage.local.set({
+    [HISTORY_KEY]: history.filter((entry) => !keys.includes(entry.key))
+  });
 }
 
+// =============================================================================
+// Settings
+// =============================================================================
+
 /**
- * Simple fuzzy matching (Dice coefficient)
+ * Settings that decide which search results count as matches
+ * @returns {Promise<{strictness: string, minScore: number, searchLimit: number}>}
  */
-function fuzzyMatch(str1, str2) {
-  if (!str1 || !str2) return 0;
-  if (str1 === str2) return 1;
+async function getMatchSettings() {
+  const settings = await chrome.storage.sync.get({
+    matchStrictness: DEFAULT_STRICTNESS,
+    minScore: MIN_ALBUM_SCORE,
+    searchLimit: DEFAULT_SEARCH_LIMIT
+  });
 
-  const bigrams1 = getBigrams(str1);
-  const bigrams2 = getBigrams(str2);
+  return {
+    strictness: settings.matchStrictness,
+    minScore: settings.minScore,
+    searchLimit: settings.searchLimit
+  };
+}
 
-  let matches = 0;
-  for (const bigram of bigrams1) {
-    if (bigrams2.has(bigram)) {
-      matches++;
+/**
+ * Bundle settings, overrides, the match cache and history for sharing across
+ * machines. Credentials are only included when asked for; tokens never are.
+ * @param {{includeSecrets?: boolean}} [options]
+ */
+async function exportSettings({ includeSecrets = false } = {}) {
+  const settings = await chrome.storage.sync.get(SYNC_SETTING_KEYS);
+
+  const data = {
+    format: SETTINGS_EXPORT_FORMAT,
+    version: SETTINGS_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    overrides: await getOverrides(),
+    cache: await loadMatchCache(),
+    history: await getHistory()
+  };
+
+  if (includeSecrets) {
+    const stored = await chrome.storage.local.get('spotifyClientId');
+    const secret = await loadSecret();
+    if (!secret && (await getSecretStatus()).locked) {
+      throw new Error('Unlock the Client Secret in the popup to export it');
     }
+    data.credentials = {
+      clientId: stored.spotifyClientId || null,
+      clientSecret: secret
+    };
   }
 
-  return (2 * matches) / (bigrams1.size + bigrams2.size);
+  return data;
 }
 
-function getBigrams(str) {
-  const bigrams = new Set();
-  for (let i = 0; i < str.length - 1; i++) {
-    bigrams.add(str.substring(i, i + 2));
+/**
+ * Apply an export from exportSettings(). Settings are checked with the same
+ * rules as the options page and replaced; overrides, the cache and history
+ * are merged, with the imported entry winning for the same release. Malformed
+ * entries, e.g. from a hand-edited file, are skipped.
+ * @returns {Promise<{settings: number, overrides: number, cache: number, history: number, credentials: boolean}>}
+ */
+async function importSettings(data) {
+  if (data?.format !== SETTINGS_EXPORT_FORMAT) {
+    throw new Error('Not a Discotify settings file');
+  }
+  if (data.version > SETTINGS_EXPORT_VERSION) {
+    throw new Error('Settings file is from a newer version of Discotify');
+  }
+
+  const { settings, error } = validateSettings(data.settings || {});
+  if (error) {
+    throw new Error(`Settings file has an invalid setting. ${error}`);
+  }
+
+  // An empty market means auto-detect, which is stored as "not set"
+  if (settings.market === '') {
+    delete settings.market;
+    await chrome.storage.sync.remove('market');
+  }
+  await chrome.storage.sync.set(settings);
+
+  const overrides = Object.fromEntries(
+    Object.entries(isPlainObject(data.overrides) ? data.overrides : {})
+      .filter(([key, entry]) => DISCOGS_KEY_PATTERN.test(key) && isOverrideEntry(entry))
+  );
+  await chrome.storage.local.set({
+    [OVERRIDES_KEY]: { ...await getOverrides(), ...overrides }
+  });
+
+  const cache = isPlainObject(data.cache) ? await mergeMatchCache(data.cache) : 0;
+
+  const imported = (Array.isArray(data.history) ? data.history : [])
+    .filter((entry) => typeof entry?.key === 'string' && Number.isFinite(entry.timestamp));
+  const importedKeys = new Set(imported.map((entry) => entry.key));
+  const history = [...imported, ...(await getHistory()).filter((entry) => !importedKeys.has(entry.key))]
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .slice(0, HISTORY_MAX_ENTRIES);
+  await chrome.storage.local.set({ [HISTORY_KEY]: history });
+
+  const credentials = Boolean(data.credentials?.clientId && data.credentials?.clientSecret);
+  if (credentials) {
+    // Imported secrets use the device key; a passphrase can be set again in the popup
+    await saveCredentials(data.credentials).catch((error) => {
+      console.error('[Discotify] Imported credentials did not authenticate:', error);
+    });
   }
-  return bigrams;
+
+  return {
+    settings: Object.keys(settings).length,
+    overrides: Object.keys(overrides).length,
+    cache,
+    history: imported.length,
+    credentials
+  };
+}
+
+/**
+ * Overrides are looked up by their album's ID and URI (see searchRelease)
+ */
+function isOverrideEntry(entry) {
+  return isPlainObject(entry?.result) &&
+    typeof entry.result.id === 'string' &&
+    typeof entry.result.uri === 'string';
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
 }
 
 // =============================================================================
@@ -439,18 +2482,18 @@ chrome.runtime.onInstalled.addListener((details) => {
 // Listen for credential changes
 chrome.storage.onChanged.addListener((changes, areaName) => {
   if (areaName === 'local') {
-    if (changes.spotifyClientId || changes.spotifyClientSecret) {
-      console.log('[Discotify] Credentials changed, will re-authenticate on next request');
+    // The secret itself changes through saveCredentials(), which re-authenticates
+    if (changes.spotifyClientId && changes.spotifyClientId.newValue !== clientId) {
+      console.log('[Discotify] Client ID changed, will re-authenticate on next request');
       // Clear token so it will be refreshed
       accessToken = null;
       tokenExpiresAt = null;
+      clientId = changes.spotifyClientId.newValue;
 
-      // Update local values
-      if (changes.spotifyClientId) {
-        clientId = changes.spotifyClientId.newValue;
-      }
-      if (changes.spotifyClientSecret) {
-        clientSecret = changes.spotifyClientSecret.newValue;
+      // The user session belongs to the old app, so it can't be refreshed anymore
+      if (userAuth) {
+        console.log('[Discotify] Client ID changed, ending user session');
+        clearUserAuth().catch((error) => console.error('[Discotify] Logout error:', error));
       }
     }
   }
@@ -458,6 +2501,10 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 
 // Refresh token periodically (every 50 minutes)
 setInterval(async () => {
+  if (userAuth) {
+    console.log('[Discotify] Refreshing user token...');
+    await refreshUserToken();
+  }
   if (clientId && clientSecret && accessToken) {
     console.log('[Discotify] Refreshing token...');
     await getClientCredentialsToken();
@@ -0,0 +1,371 @@
+/**
+ * Discotify Matching
+ * Provider-independent scoring of search results against Discogs metadata
+ */
+
+'use strict';
+
+// Minimum score for an album search result to count as a match
+export const MIN_ALBUM_SCORE = 50;
+
+// Identifier matching
+export const MIN_IDENTIFIER_SCORE = 40; // Title or artist must at least fuzzy-match
+const MAX_BARCODE_QUERIES = 4;
+
+// Track-level matching
+export const TRACK_MATCH_CANDIDATES = 5; // Top candidates whose tracklists get compared
+export const TRACK_DURATION_TOLERANCE = 5; // Seconds
+
+// Confidence shown with a match: scores at or above these are "exact" and
+// "likely", anything lower is "weak". Name + artist + album type reach 165.
+const EXACT_CONFIDENCE_SCORE = 160;
+const LIKELY_CONFIDENCE_SCORE = 120;
+
+// Popup strictness setting: how far the score a match needs sits from the
+// threshold (MIN_ALBUM_SCORE unless set on the options page), and whether
+// weak matches are shown with a warning or rejected
+export const DEFAULT_STRICTNESS = 'balanced';
+const STRICTNESS_LEVELS = {
+  relaxed: { scoreOffset: -10, rejectWeak: false },
+  balanced: { scoreOffset: 0, rejectWeak: false },
+  strict: { scoreOffset: 0, rejectWeak: true }
+};
+export const STRICTNESS_NAMES = Object.keys(STRICTNESS_LEVELS);
+
+const NAME_MATCH_LABELS = { 100: 'exact', 60: 'partial', 40: 'similar', 0: 'different' };
+const ARTIST_MATCH_LABELS = { 50: 'matches', 25: 'similar', 0: 'different' };
+const COMPILATION_ARTIST_LABELS = { 50: 'various artists', 0: 'single artist' };
+
+// Discogs credits compilations to "Various", streaming services to "Various Artists"
+export const VARIOUS_ARTISTS = 'Various Artists';
+const VARIOUS_ARTISTS_PATTERN = /^various(?: artists)?$/;
+
+/**
+ * Clean a search term for better matching
+ */
+export function cleanSearchTerm(term) {
+  if (!term) return '';
+
+  return term
+    // Remove Discogs disambiguation numbers like (2), (3)
+    .replace(/\s*\(\d+\)\s*$/g, '')
+    // Remove edition/version info in brackets
+    .replace(/\s*\[.*?\]\s*/g, '')
+    .replace(/\s*\(.*?edition.*?\)\s*/gi, '')
+    .replace(/\s*\(.*?remaster.*?\)\s*/gi, '')
+    .replace(/\s*\(.*?version.*?\)\s*/gi, '')
+    .replace(/\s*\(.*?deluxe.*?\)\s*/gi, '')
+    .replace(/\s*\(.*?bonus.*?\)\s*/gi, '')
+    // Normalize quotes
+    .replace(/['']/g, "'")
+    .replace(/[""]/g, '"')
+    // Clean whitespace
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Whether an artist credit stands for a Various Artists compilation
+ */
+export function isVariousArtists(name) {
+  return VARIOUS_ARTISTS_PATTERN.test(normalizeForComparison(cleanSearchTerm(name)));
+}
+
+/**
+ * Search terms for a compilation, which is found by title, label and year
+ * instead of its artist credit. "Not On Label" releases have no label to go by.
+ * @returns {{album: string, label: string|null, year: string|null}}
+ */
+export function getCompilationTerms({ album, label, year }) {
+  const cleanLabel = cleanSearchTerm(label);
+  return {
+    album: cleanSearchTerm(album),
+    label: cleanLabel && !/^not on label/i.test(cleanLabel) ? cleanLabel : null,
+    year: year || null
+  };
+}
+
+/**
+ * Turn barcodes into the UPC/EAN forms a provider may have stored.
+ * A 12-digit UPC-A is the same code as a 13-digit EAN with a leading zero.
+ */
+export function expandBarcodes(barcodes) {
+  const codes = new Set();
+
+  (barcodes || []).forEach((barcode) => {
+    if (barcode.length === 12) {
+      codes.add(barcode);
+      codes.add(`0${barcode}`);
+    } else if (barcode.length === 13) {
+      codes.add(barcode);
+      if (barcode.startsWith('0')) codes.add(barcode.slice(1));
+    }
+  });
+
+  return [...codes].slice(0, MAX_BARCODE_QUERIES);
+}
+
+/**
+ * Score albums against the expected artist and album, best first.
+ * When the expected artist is "Various", albums credited to Various Artists
+ * and compilations score the artist and type points instead.
+ * @param {Array} albums - Provider search results
+ * @param {Array} [expectedTracks] - Discogs tracklist; when present, track count is compared exactly
+ * @param {Function} [describe] - Maps a result to { name, artists, albumType, totalTracks },
+ *   where artists are names and albumType is "album", "single", "compilation" or "ep"
+ * @returns {Array<{album: Object, score: number, factors: Array}>} factors are
+ *   the { label, detail, points } that make up the score, shown in the match tooltip
+ */
+export function scoreAlbums(albums, expectedArtist, expectedAlbum, expectedTracks, describe = (album) => album) {
+  const normalizedArtist = normalizeForComparison(expectedArtist);
+  const normalizedAlbum = normalizeForComparison(expectedAlbum);
+  const compilation = isVariousArtists(expectedArtist);
+
+  // Score each album
+  const scored = albums.map(album => {
+    const { name, artists, albumType, totalTracks } = describe(album);
+
+    const albumName = normalizeForComparison(name);
+    const artistNames = artists.map(artist => normalizeForComparison(artist));
+
+    // Album name matching (most important)
+    const namePoints = scoreNameMatch(albumName, normalizedAlbum);
+
+    // Artist matching
+    const artistPoints = compilation
+      ? (artists.some(isVariousArtists) ? 50 : 0)
+      : scoreArtistMatch(artistNames, normalizedArtist);
+
+    // Prefer full albums over singles/compilations, or compilations for one
+    let typePoints = 0;
+    if (compilation) {
+      typePoints = albumType === 'compilation' ? 15 : (albumType === 'single' ? -10 : 0);
+    } else if (albumType === 'album') {
+      typePoints = 15;
+    } else if (albumType === 'single') {
+      typePoints = -10;
+    } else if (albumType === 'compilation') {
+      typePoints = -5;
+    }
+
+    let trackPoints = 0;
+    let trackDetail = totalTracks ? `${totalTracks} tracks` : 'unknown';
+    if (expectedTracks?.length) {
+      // Same number of tracks as the Discogs release
+      if (totalTracks === expectedTracks.length) {
+        trackPoints = 10;
+      }
+      trackDetail = `${totalTracks ?? '?'} of ${expectedTracks.length} tracks`;
+    } else if (totalTracks >= 8) {
+      // Prefer albums with more tracks (likely to be the full album)
+      trackPoints = 5;
+    }
+
+    const factors = [
+      { label: 'Album name', detail: NAME_MATCH_LABELS[namePoints], points: namePoints },
+      {
+        label: 'Artist',
+        detail: (compilation ? COMPILATION_ARTIST_LABELS : ARTIST_MATCH_LABELS)[artistPoints],
+        points: artistPoints
+      },
+      { label: 'Album type', detail: albumType || 'unknown', points: typePoints },
+      { label: 'Track count', detail: trackDetail, points: trackPoints }
+    ];
+
+    const score = namePoints + artistPoints + typePoints + trackPoints;
+    return { album, score, factors };
+  });
+
+  // Sort by score
+  scored.sort((a, b) => b.score - a.score);
+
+  return scored;
+}
+
+/**
+ * Score a normalized title against the expected one
+ */
+export function scoreNameMatch(name, expected) {
+  if (name === expected) {
+    return 100; // Exact match
+  } else if (name.includes(expected) || expected.includes(name)) {
+    return 60; // Partial match
+  } else if (fuzzyMatch(name, expected) > 0.7) {
+    return 40; // Fuzzy match
+  }
+  return 0;
+}
+
+/**
+ * Score normalized artist names against the expected artist
+ */
+export function scoreArtistMatch(artistNames, expected) {
+  const artistMatch = artistNames.some(name =>
+    name === expected ||
+    name.includes(expected) ||
+    expected.includes(name)
+  );
+
+  if (artistMatch) {
+    return 50;
+  } else if (artistNames.some(name => fuzzyMatch(name, expected) > 0.7)) {
+    return 25;
+  }
+  return 0;
+}
+
+/**
+ * Score how well a provider's tracklist matches the Discogs one.
+ * Title overlap (Dice over both lists) is worth up to 40 points, so deluxe
+ * editions with bonus tracks score lower than the original; matching
+ * durations add up to 15 to tell re-recordings and live versions apart.
+ * Where Discogs credits tracks to their own artists, as on compilations,
+ * matching track artists add up to 15 more.
+ * @param {Array<{title: string, duration: number, artists?: string[]}>} albumTracks - Durations in seconds
+ */
+export function scoreTracklist(expectedTracks, albumTracks, totalTracks) {
+  const remaining = albumTracks.map((track) => ({
+    title: normalizeTrackTitle(track.title),
+    duration: track.duration,
+    artists: (track.artists || []).map((artist) => normalizeForComparison(cleanSearchTerm(artist)))
+  }));
+
+  let titleMatches = 0;
+  let durationMatches = 0;
+  let durationsCompared = 0;
+  let artistMatches = 0;
+  let artistsCompared = 0;
+
+  for (const track of expectedTracks) {
+    const title = normalizeTrackTitle(track.title);
+    const index = remaining.findIndex((candidate) =>
+      candidate.title === title || fuzzyMatch(candidate.title, title) > 0.85
+    );
+    if (index === -1) continue;
+
+    const [candidate] = remaining.splice(index, 1);
+    titleMatches++;
+
+    if (track.duration && candidate.duration) {
+      durationsCompared++;
+      if (Math.abs(track.duration - candidate.duration) <= TRACK_DURATION_TOLERANCE) {
+        durationMatches++;
+      }
+    }
+
+    if (track.artist && candidate.artists.length) {
+      artistsCompared++;
+      if (scoreArtistMatch(candidate.artists, normalizeForComparison(cleanSearchTerm(track.artist))) > 0) {
+        artistMatches++;
+      }
+    }
+  }
+
+  const overlap = (2 * titleMatches) / (expectedTracks.length + (totalTracks || albumTracks.length));
+  const durationRatio = durationsCompared ? durationMatches / durationsCompared : 0;
+  const artistRatio = artistsCompared ? artistMatches / artistsCompared : 0;
+
+  return Math.round(overlap * 40 + durationRatio * 15 + artistRatio * 15);
+}
+
+/**
+ * Add a tracklist comparison to a scored album
+ * @param {number} points - From scoreTracklist()
+ */
+export function addTracklistScore(entry, points) {
+  entry.score += points;
+  entry.factors.push({ label: 'Tracklist', detail: 'compared with Discogs', points });
+}
+
+/**
+ * How confident a score is: "exact", "likely" or "weak"
+ */
+export function getConfidence(score) {
+  if (score >= EXACT_CONFIDENCE_SCORE) return 'exact';
+  if (score >= LIKELY_CONFIDENCE_SCORE) return 'likely';
+  return 'weak';
+}
+
+/**
+ * The score, confidence and factors that go with a match result
+ * @param {Object} entry - A scored album from scoreAlbums()
+ * @param {string} [barcode] - Set when the album was found by barcode, which makes it exact
+ */
+export function describeMatch(entry, barcode) {
+  if (barcode) {
+    return {
+      score: entry.score,
+      confidence: 'exact',
+      factors: [{ label: 'Barcode', detail: barcode, points: 0 }, ...entry.factors]
+    };
+  }
+
+  return { score: entry.score, confidence: getConfidence(entry.score), factors: entry.factors };
+}
+
+/**
+ * Whether a match is good enough for the user's match settings.
+ * Results cached before scores were kept carry none and are accepted.
+ * @param {Object} [options] - { strictness, minScore } from the popup and options page
+ */
+export function isAcceptedMatch(result, { strictness, minScore = MIN_ALBUM_SCORE } = {}) {
+  if (result.confidence === 'exact' || typeof result.score !== 'number') return true;
+
+  const level = STRICTNESS_LEVELS[strictness] || STRICTNESS_LEVELS[DEFAULT_STRICTNESS];
+  if (result.score < minScore + level.scoreOffset) return false;
+  return !level.rejectWeak || getConfidence(result.score) !== 'weak';
+}
+
+/**
+ * Normalize a track title, dropping remaster annotations streaming services
+ * append ("Money - 2011 Remaster") so they don't count as different recordings
+ */
+export function normalizeTrackTitle(title) {
+  return normalizeForComparison(
+    (title || '')
+      .replace(/\s+-\s+[^-]*remaster[^-]*$/i, '')
+      .replace(/\s*[([][^)\]]*remaster[^)\]]*[)\]]/gi, '')
+  );
+}
+
+/**
+ * Normalize string for comparison
+ */
+export function normalizeForComparison(str) {
+  if (!str) return '';
+  return str
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
+    .replace(/[^\w\s]/g, ' ')        // Replace special chars with space
+    .replace(/\s+/g, ' ')            // Collapse whitespace
+    .trim();
+}
+
+/**
+ * Simple fuzzy matching (Dice coefficient)
+ */
+export function fuzzyMatch(str1, str2) {
+  if (!str1 || !str2) return 0;
+  if (str1 === str2) return 1;
+
+  const bigrams1 = getBigrams(str1);
+  const bigrams2 = getBigrams(str2);
+
+  let matches = 0;
+  for (const bigram of bigrams1) {
+    if (bigrams2.has(bigram)) {
+      matches++;
+    }
+  }
+
+  return (2 * matches) / (bigrams1.size + bigrams2.size);
+}
+
+function getBigrams(str) {
+  const bigrams = new Set();
+  for (let i = 0; i < str.length - 1; i++) {
+    bigrams.add(str.substring(i, i + 2));
+  }
+  return bigrams;
+}
@@ -0,0 +1,204 @@
+/**
+ * Discotify Bandcamp Provider
+ * Album search for independent and small-label releases that only exist on Bandcamp
+ */
+
+'use strict';
+
+import {
+  TRACK_MATCH_CANDIDATES,
+  addTracklistScore,
+  cleanSearchTerm,
+  describeMatch,
+  getCompilationTerms,
+  isAcceptedMatch,
+  scoreAlbums,
+  scoreTracklist
+} from '../matching.js';
+import { createRequestScheduler } from '../scheduler.js';
+
+// Bandcamp has no public API; this is the endpoint behind its search box
+const BANDCAMP_SEARCH_URL = 'https://bandcamp.com/api/bcsearch_public_api/1/autocomplete_elastic';
+const BANDCAMP_CONCURRENCY = 2; // Kept low, result page badges search many releases at once
+
+/**
+ * Searches and album pages share one queue, so a page of badges doesn't
+ * flood Bandcamp. Use it like fetch().
+ */
+const bandcampFetch = createRequestScheduler({ name: 'Bandcamp', concurrency: BANDCAMP_CONCURRENCY }).schedule;
+
+const bandcampProvider = {
+  id: 'bandcamp',
+  name: 'Bandcamp',
+  embedHeight: 120,
+
+  // No credentials needed
+  isAvailable: async () => true,
+
+  getCacheScope: async () => 'bandcamp',
+
+  getEmbedUrl: (result) =>
+    `https://bandcamp.com/EmbeddedPlayer/album=${result.id}/size=large/bgcol=333333/linkcol=1db954/tracklist=false/artwork=small/transparent=true/`,
+
+  searchAlbum
+};
+
+export default bandcampProvider;
+
+/**
+ * Search Bandcamp for an album matching the given metadata
+ * @param {Object} [options] - Match settings: { strictness, minScore, searchLimit }
+ */
+async function searchAlbum(metadata, options = {}) {
+  const cleanArtist = cleanSearchTerm(metadata.artist);
+  const cleanAlbum = cleanSearchTerm(metadata.album);
+
+  // Labels post their compilations on Bandcamp under the label's name
+  const label = metadata.isCompilation ? getCompilationTerms(metadata).label : null;
+  const queries = [
+    `${label || cleanArtist} ${cleanAlbum}`,
+    cleanAlbum
+  ];
+
+  for (const query of queries) {
+    const albums = await fetchAlbums(query);
+    if (!albums?.length) continue;
+
+    const result = await findBestAlbumMatch(albums, cleanArtist, cleanAlbum, metadata.tracks, options);
+    if (result) {
+      console.log('[Discotify] Found album on Bandcamp:', result.name, 'by', result.artist);
+      return result;
+    }
+  }
+
+  console.log('[Discotify] No Bandcamp album match found');
+  return null;
+}
+
+/**
+ * Run a Bandcamp album search
+ * @returns {Promise<Array>} Album results; rejects if the request failed
+ */
+async function fetchAlbums(query) {
+  console.log('[Discotify] Bandcamp query:', query);
+
+  const response = await bandcampFetch(BANDCAMP_SEARCH_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      search_text: query,
+      search_filter: 'a', // Albums only
+      full_page: false,
+      fan_id: null
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Bandcamp search failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  return (data.auto?.results || []).filter((item) => item.type === 'a');
+}
+
+/**
+ * Find the best matching album. Search results carry no track counts, so the
+ * tracklists of the top candidates are read from their album pages.
+ */
+async function findBestAlbumMatch(albums, expectedArtist, expectedAlbum, expectedTracks, options) {
+  const scored = scoreAlbums(albums, expectedArtist, expectedAlbum, null, describeAlbum);
+
+  if (expectedTracks?.length) {
+    const top = scored.slice(0, TRACK_MATCH_CANDIDATES);
+    for (const entry of top) {
+      const tracks = await fetchAlbumTracks(entry.album.item_url_path);
+      if (tracks?.length) {
+        addTracklistScore(entry, scoreTracklist(expectedTracks, tracks, tracks.length));
+        // Same bonus the shared scoring gives for a matching track count
+        const trackCount = entry.factors.find((factor) => factor.label === 'Track count');
+        trackCount.detail = `${tracks.length} of ${expectedTracks.length} tracks`;
+        if (tracks.length === expectedTracks.length) {
+          trackCount.points = 10;
+          entry.score += 10;
+        }
+      }
+    }
+    scored.sort((a, b) => b.score - a.score);
+  }
+
+  console.log('[Discotify] Top Bandcamp matches:', scored.slice(0, 3).map(s =>
+    `${s.album.name} by ${s.album.band_name} (score: ${s.score})`
+  ));
+
+  const best = scored[0];
+  if (!best) return null;
+
+  const match = describeMatch(best);
+  return isAcceptedMatch(match, options) ? { ...formatAlbumResult(best.album), ...match } : null;
+}
+
+/**
+ * Read an album's tracklist from the data-tralbum JSON on its page
+ * @returns {Promise<Array<{title: string, duration: number, artists: string[]}>|null>}
+ */
+async function fetchAlbumTracks(albumUrl) {
+  if (!albumUrl) return null;
+
+  try {
+    const response = await bandcampFetch(albumUrl);
+    if (!response.ok) return null;
+
+    const html = await response.text();
+    const match = html.match(/data-tralbum="([^"]+)"/);
+    if (!match) return null;
+
+    const tralbum = JSON.parse(decodeHtmlEntities(match[1]));
+    return (tralbum.trackinfo || []).map((track) => ({
+      title: track.title,
+      duration: Math.round(track.duration || 0),
+      // Only set on albums with several artists
+      artists: track.artist ? [track.artist] : []
+    }));
+  } catch (error) {
+    console.error('[Discotify] Bandcamp album page error:', error);
+    return null;
+  }
+}
+
+function decodeHtmlEntities(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Map a Bandcamp search result onto the fields the shared scoring looks at.
+ * Bandcamp gives no album type, so none is set and the type isn't scored.
+ */
+function describeAlbum(album) {
+  return {
+    name: album.name,
+    artists: album.band_name ? [album.band_name] : [],
+    totalTracks: null
+  };
+}
+
+/**
+ * Convert a Bandcamp search result into the result shape sent to the content script
+ */
+function formatAlbumResult(album) {
+  return {
+    uri: `bandcamp:album:${album.id}`,
+    id: String(album.id),
+    type: 'album',
+    name: album.name,
+    artist: album.band_name,
+    image: album.img,
+    url: album.item_url_path,
+    purchaseUrl: album.item_url_path,
+    year: null
+  };
+}
@@ -0,0 +1,180 @@
+/**
+ * Discotify Deezer Provider
+ * Album search through Deezer's public API, which needs no credentials
+ */
+
+'use strict';
+
+import {
+  MIN_IDENTIFIER_SCORE,
+  TRACK_MATCH_CANDIDATES,
+  addTracklistScore,
+  cleanSearchTerm,
+  describeMatch,
+  expandBarcodes,
+  getCompilationTerms,
+  isAcceptedMatch,
+  scoreAlbums,
+  scoreTracklist
+} from '../matching.js';
+
+const DEEZER_API_URL = 'https://api.deezer.com';
+
+const deezerProvider = {
+  id: 'deezer',
+  name: 'Deezer',
+  embedHeight: 300,
+
+  // Public API, so always usable
+  isAvailable: async () => true,
+
+  // Deezer search isn't market-specific, so matches are cached once
+  getCacheScope: async () => 'deezer',
+
+  getEmbedUrl: (result) => `https://widget.deezer.com/widget/dark/album/${result.id}`,
+
+  searchAlbum
+};
+
+export default deezerProvider;
+
+/**
+ * Search Deezer for an album matching the given metadata
+ * @param {Object} [options] - Match settings: { strictness, minScore, searchLimit }
+ */
+async function searchAlbum(metadata, options = {}) {
+  const cleanArtist = cleanSearchTerm(metadata.artist);
+  const cleanAlbum = cleanSearchTerm(metadata.album);
+
+  const identifierMatch = await searchByIdentifiers(metadata.barcodes, cleanArtist, cleanAlbum);
+  if (identifierMatch) return identifierMatch;
+
+  const queries = metadata.isCompilation ? getCompilationQueries(metadata) : [
+    `artist:"${cleanArtist}" album:"${cleanAlbum}"`,
+    `${cleanArtist} ${cleanAlbum}`
+  ];
+
+  for (const query of queries) {
+    const albums = await fetchDeezer(`/search/album?q=${encodeURIComponent(query)}&limit=${options.searchLimit || 20}`);
+    if (!albums?.data?.length) continue;
+
+    const result = await findBestAlbumMatch(albums.data, cleanArtist, cleanAlbum, metadata.tracks, options);
+    if (result) {
+      console.log('[Discotify] Found album on Deezer:', result.name, 'by', result.artist);
+      return result;
+    }
+  }
+
+  console.log('[Discotify] No Deezer album match found');
+  return null;
+}
+
+/**
+ * Deezer queries for a Various Artists compilation: title and label, then title alone
+ */
+function getCompilationQueries(metadata) {
+  const { album, label } = getCompilationTerms(metadata);
+  return [
+    label && `album:"${album}" label:"${label}"`,
+    `album:"${album}"`
+  ].filter(Boolean);
+}
+
+/**
+ * Look the release up on Deezer by barcode (UPC/EAN)
+ */
+async function searchByIdentifiers(barcodes, expectedArtist, expectedAlbum) {
+  for (const upc of expandBarcodes(barcodes)) {
+    const album = await fetchDeezer(`/album/upc:${upc}`);
+    if (!album?.id) continue;
+
+    // Discogs barcodes are user-submitted, so make sure the hit is plausible
+    const [best] = scoreAlbums([album], expectedArtist, expectedAlbum, null, describeAlbum);
+    if (best.score >= MIN_IDENTIFIER_SCORE) {
+      console.log('[Discotify] Exact Deezer match by UPC', upc);
+      return { ...formatAlbumResult(album), ...describeMatch(best, upc), matchType: 'exact' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the best matching album, comparing tracklists of the top candidates
+ */
+async function findBestAlbumMatch(albums, expectedArtist, expectedAlbum, expectedTracks, options) {
+  const scored = scoreAlbums(albums, expectedArtist, expectedAlbum, expectedTracks, describeAlbum);
+
+  if (expectedTracks?.length) {
+    const top = scored.slice(0, TRACK_MATCH_CANDIDATES);
+    for (const entry of top) {
+      const tracks = await fetchDeezer(`/album/${entry.album.id}/tracks?limit=100`);
+      if (tracks?.data) {
+        const comparable = tracks.data.map((track) => ({
+          title: track.title,
+          duration: track.duration,
+          artists: track.artist?.name ? [track.artist.name] : []
+        }));
+        addTracklistScore(entry, scoreTracklist(expectedTracks, comparable, entry.album.nb_tracks));
+      }
+    }
+    scored.sort((a, b) => b.score - a.score);
+  }
+
+  const best = scored[0];
+  if (!best) return null;
+
+  const match = describeMatch(best);
+  return isAcceptedMatch(match, options) ? { ...formatAlbumResult(best.album), ...match } : null;
+}
+
+/**
+ * Map a Deezer album onto the fields the shared scoring looks at
+ */
+function describeAlbum(album) {
+  return {
+    name: album.title,
+    artists: album.artist?.name ? [album.artist.name] : [],
+    albumType: album.record_type === 'compile' ? 'compilation' : album.record_type,
+    totalTracks: album.nb_tracks
+  };
+}
+
+/**
+ * Convert a Deezer album object into the result shape sent to the content script
+ */
+function formatAlbumResult(album) {
+  return {
+    uri: `deezer:album:${album.id}`,
+    id: String(album.id),
+    type: 'album',
+    name: album.title,
+    artist: album.artist?.name,
+    image: album.cover_xl || album.cover_big,
+    url: album.link,
+    totalTracks: album.nb_tracks,
+    year: album.release_date?.slice(0, 4) || null
+  };
+}
+
+/**
+ * GET a Deezer API path
+ * Deezer reports errors in a 200 response, so those reject too; only "no data"
+ * (an unknown barcode) resolves to null.
+ * @returns {Promise<Object|null>} The response body
+ */
+async function fetchDeezer(path) {
+  const response = await fetch(`${DEEZER_API_URL}${path}`);
+
+  if (!response.ok) {
+    throw new Error(`Deezer request failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (data.error) {
+    if (data.error.code === 800) return null;
+    throw new Error(`Deezer error: ${data.error.message}`);
+  }
+
+  return data;
+}
@@ -0,0 +1,153 @@
+/**
+ * Discotify Request Scheduler
+ * Queues requests to a rate-limited API so bulk features (badges, playlist
+ * export) don't trip its limits, and retries the ones that do
+ */
+
+'use strict';
+
+/**
+ * Create a scheduler for one API
+ * @param {Object} options
+ * @param {string} options.name - API name for log messages
+ * @param {number} [options.concurrency] - Requests running at the same time
+ * @param {number} [options.maxRetries] - Retries after a 429 or 5xx response
+ * @param {number} [options.baseDelay] - First 5xx backoff in ms, doubled per retry
+ * @param {number} [options.maxRetryAfter] - Longest Retry-After (ms) worth waiting for;
+ *   beyond it requests fail straight away until the wait is over
+ * @returns {{ schedule: Function }} schedule(url, options) works like fetch()
+ */
+export function createRequestScheduler({
+  name,
+  concurrency = 4,
+  maxRetries = 3,
+  baseDelay = 1000,
+  maxRetryAfter = 60 * 1000
+}) {
+  const queue = [];
+  const inFlight = new Map();
+  let active = 0;
+  let pausedUntil = 0;
+  let resumeTimer = null;
+
+  /**
+   * Queue a request. Identical GET requests already in flight, e.g. the same
+   * search from two tabs, share one response.
+   */
+  function schedule(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (method !== 'GET') return enqueue(url, options);
+
+    const key = `${options.headers?.Authorization || ''} ${url}`;
+    if (!inFlight.has(key)) {
+      inFlight.set(key, enqueue(url, options).finally(() => inFlight.delete(key)));
+    }
+
+    // Each caller gets its own copy of the body to read
+    return inFlight.get(key).then((response) => response.clone());
+  }
+
+  function enqueue(url, options) {
+    const wait = pausedUntil - Date.now();
+    if (wait > maxRetryAfter) {
+      return Promise.reject(rateLimitError(wait));
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.push({ url, options, attempt: 0, resolve, reject });
+      runNext();
+    });
+  }
+
+  function runNext() {
+    while (active < concurrency && queue.length > 0) {
+      const wait = pausedUntil - Date.now();
+      if (wait > maxRetryAfter) {
+        // Too long to wait: fail what's queued, like new requests until the pause ends
+        const error = rateLimitError(wait);
+        queue.splice(0).forEach((task) => task.reject(error));
+        return;
+      }
+      if (wait > 0) {
+        if (!resumeTimer) {
+          resumeTimer = setTimeout(() => {
+            resumeTimer = null;
+            runNext();
+          }, wait);
+        }
+        return;
+      }
+
+      const task = queue.shift();
+      active++;
+      execute(task).finally(() => {
+        active--;
+        runNext();
+      });
+    }
+  }
+
+  async function execute(task) {
+    let response;
+    try {
+      response = await fetch(task.url, task.options);
+    } catch (error) {
+      task.reject(error);
+      return;
+    }
+
+    if (task.attempt < maxRetries) {
+      if (response.status === 429) {
+        // Rate limits apply to the whole app, so the queue pauses, not just this request
+        const delay = parseRetryAfter(response.headers.get('Retry-After')) ?? getBackoff(task.attempt);
+        if (delay <= maxRetryAfter) {
+          console.warn(`[Discotify] ${name} rate limited, retrying in ${Math.ceil(delay / 1000)}s`);
+          pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+          task.attempt++;
+          queue.unshift(task);
+          return;
+        }
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+      } else if (response.status >= 500) {
+        const delay = getBackoff(task.attempt);
+        console.warn(`[Discotify] ${name} error ${response.status}, retrying in ${delay}ms`);
+        task.attempt++;
+        setTimeout(() => {
+          queue.unshift(task);
+          runNext();
+        }, delay);
+        return;
+      }
+    }
+
+    task.resolve(response);
+  }
+
+  function rateLimitError(wait) {
+    return new Error(`${name} rate limit reached, try again in ${Math.ceil(wait / 1000)}s`);
+  }
+
+  /**
+   * Exponential backoff; half of it is random so retries don't line up
+   */
+  function getBackoff(attempt) {
+    const delay = baseDelay * 2 ** attempt;
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  return { schedule };
+}
+
+/**
+ * Read a Retry-After header, given in seconds or as an HTTP date
+ * @returns {number|null} Milliseconds to wait, or null without a usable header
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
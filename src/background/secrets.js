@@ -0,0 +1,196 @@
+/**
+ * Discotify Secret Storage
+ * Keeps the Spotify Client Secret encrypted at rest (AES-GCM via WebCrypto).
+ *
+ * By default the key is a non-extractable device key kept in IndexedDB, so the
+ * secret never sits in chrome.storage in plain text. With a passphrase the key
+ * is derived from it instead (PBKDF2) and the secret stays locked until the
+ * passphrase is entered once per browser session. The decrypted secret is only
+ * kept in chrome.storage.session, which lives in memory and is cleared when
+ * the browser closes.
+ */
+
+'use strict';
+
+// chrome.storage.local: { iv, data, salt?, passphrase: boolean }, base64 encoded
+const ENCRYPTED_SECRET_KEY = 'spotifyClientSecretEncrypted';
+// chrome.storage.session: the decrypted secret
+const SESSION_SECRET_KEY = 'spotifyClientSecret';
+// Plain-text secret written by earlier versions
+const LEGACY_SECRET_KEY = 'spotifyClientSecret';
+
+const KEY_DB_NAME = 'discotify-keys';
+const KEY_STORE_NAME = 'keys';
+const DEVICE_KEY_ID = 'device';
+
+const PBKDF2_ITERATIONS = 310000;
+
+/**
+ * Encrypt and store the Client Secret, and unlock it for this session
+ * @param {string} secret
+ * @param {string} [passphrase] - When set, the secret needs it after each browser restart
+ */
+export async function storeSecret(secret, passphrase) {
+  const salt = passphrase ? crypto.getRandomValues(new Uint8Array(16)) : null;
+  const key = passphrase ? await derivePassphraseKey(passphrase, salt) : await getDeviceKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(secret));
+
+  await chrome.storage.local.set({
+    [ENCRYPTED_SECRET_KEY]: {
+      iv: toBase64(iv),
+      data: toBase64(data),
+      salt: salt ? toBase64(salt) : null,
+      passphrase: Boolean(passphrase)
+    }
+  });
+  await chrome.storage.session.set({ [SESSION_SECRET_KEY]: secret });
+}
+
+/**
+ * The Client Secret for this session
+ * @returns {Promise<string|null>} null when none is stored or it is locked by a passphrase
+ */
+export async function loadSecret() {
+  const session = await chrome.storage.session.get(SESSION_SECRET_KEY);
+  if (session[SESSION_SECRET_KEY]) return session[SESSION_SECRET_KEY];
+
+  const encrypted = await getEncryptedSecret();
+  if (!encrypted || encrypted.passphrase) return null;
+
+  const secret = await decryptSecret(encrypted, await getDeviceKey());
+  await chrome.storage.session.set({ [SESSION_SECRET_KEY]: secret });
+  return secret;
+}
+
+/**
+ * Unlock a passphrase-protected secret for this browser session
+ * @returns {Promise<string>} The secret
+ */
+export async function unlockSecret(passphrase) {
+  const encrypted = await getEncryptedSecret();
+  if (!encrypted) {
+    throw new Error('No Client Secret saved');
+  }
+
+  const key = encrypted.passphrase
+    ? await derivePassphraseKey(passphrase, fromBase64(encrypted.salt))
+    : await getDeviceKey();
+
+  let secret;
+  try {
+    secret = await decryptSecret(encrypted, key);
+  } catch {
+    // AES-GCM authentication fails when the key is wrong
+    throw new Error('Wrong passphrase');
+  }
+
+  await chrome.storage.session.set({ [SESSION_SECRET_KEY]: secret });
+  return secret;
+}
+
+/**
+ * @returns {Promise<{hasSecret: boolean, passphrase: boolean, locked: boolean}>}
+ */
+export async function getSecretStatus() {
+  const encrypted = await getEncryptedSecret();
+  const session = await chrome.storage.session.get(SESSION_SECRET_KEY);
+
+  return {
+    hasSecret: Boolean(encrypted),
+    passphrase: Boolean(encrypted?.passphrase),
+    locked: Boolean(encrypted?.passphrase && !session[SESSION_SECRET_KEY])
+  };
+}
+
+/**
+ * Encrypt a plain-text secret left by an earlier version, then delete it
+ */
+export async function migrateLegacySecret() {
+  const stored = await chrome.storage.local.get(LEGACY_SECRET_KEY);
+  if (!stored[LEGACY_SECRET_KEY]) return;
+
+  await storeSecret(stored[LEGACY_SECRET_KEY]);
+  await chrome.storage.local.remove(LEGACY_SECRET_KEY);
+  console.log('[Discotify] Encrypted the stored Client Secret');
+}
+
+async function getEncryptedSecret() {
+  const stored = await chrome.storage.local.get(ENCRYPTED_SECRET_KEY);
+  return stored[ENCRYPTED_SECRET_KEY] || null;
+}
+
+async function decryptSecret(encrypted, key) {
+  const data = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(encrypted.iv) },
+    key,
+    fromBase64(encrypted.data)
+  );
+  return new TextDecoder().decode(data);
+}
+
+async function derivePassphraseKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// =============================================================================
+// Device Key
+// =============================================================================
+
+/**
+ * The extension's own AES key, created on first use. It is non-extractable,
+ * so IndexedDB holds a handle to it rather than its bytes.
+ */
+async function getDeviceKey() {
+  const db = await openKeyDb();
+  try {
+    const existing = await runKeyStore(db, 'readonly', (store) => store.get(DEVICE_KEY_ID));
+    if (existing) return existing;
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await runKeyStore(db, 'readwrite', (store) => store.put(key, DEVICE_KEY_ID));
+    return key;
+  } finally {
+    db.close();
+  }
+}
+
+function openKeyDb() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(KEY_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(KEY_STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function runKeyStore(db, mode, operation) {
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(KEY_STORE_NAME, mode).objectStore(KEY_STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function toBase64(buffer) {
+  return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
@@ -5,50 +5,94 @@
 
 'use strict';
 
+// Settings read from chrome.storage.sync, with their defaults
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  displayMode: 'replace', // 'replace' | 'side-by-side' | 'tabbed'
+  insertPosition: 'auto', // 'auto' | 'sidebar-top' | 'sidebar-bottom' | 'before-tracklist' | 'after-tracklist'
+  resultBadges: true, // Match badges on search, list and inventory pages
+  processDelay: 1000, // Ms to wait after page load/navigation before looking for embeds
+  appleMusicSelectors: [] // Custom Apple Music selectors; empty uses APPLE_MUSIC_SELECTORS
+};
+
+// Built-in selectors for Apple Music elements on Discogs, used unless the
+// options page sets its own. Discogs uses MusicKit JS widgets, not iframes
+const APPLE_MUSIC_SELECTORS = [
+  // Discogs-specific selectors for the Apple Music section
+  '.audio_player_apple',
+  '#release-apple-music',
+  '[class*="AppleMusic"]',
+  '[class*="apple-music"]',
+  '[class*="appleMusic"]',
+  // MusicKit JS elements
+  'apple-music-card-player',
+  'apple-music-artwork',
+  '[data-apple-music]',
+  // Generic iframe selectors (fallback)
+  'iframe[src*="embed.music.apple.com"]',
+  'iframe[src*="tools.applemusic.com"]',
+  'iframe[src*="music.apple.com"]'
+];
+
+// Releases sent to the background per badge request
+const BADGE_BATCH_SIZE = 10;
+
+// Spotify logo shown in the headers of players and panels
+const SPOTIFY_LOGO_PATH = 'M12 0C5.4 0 0 5.4 0 12s5.4 12 12 12 12-5.4 12-12S18.66 0 12 0zm5.521 17.34c-.24.359-.66.48-1.021.24-2.82-1.74-6.36-2.101-10.561-1.141-.418.122-.779-.179-.899-.539-.12-.421.18-.78.54-.9 4.56-1.021 8.52-.6 11.64 1.32.42.18.479.659.301 1.02zm1.44-3.3c-.301.42-.841.6-1.262.3-3.239-1.98-8.159-2.58-11.939-1.38-.479.12-1.02-.12-1.14-.6-.12-.48.12-1.021.6-1.141C9.6 9.9 15 10.561 18.72 12.84c.361.181.54.78.241 1.2zm.12-3.36C15.24 8.4 8.82 8.16 5.16 9.301c-.6.179-1.2-.181-1.38-.721-.18-.601.18-1.2.72-1.381 4.26-1.26 11.28-1.02 15.721 1.621.539.3.719 1.02.419 1.56-.299.421-1.02.599-1.559.3z';
+
 class Discotify {
   constructor() {
     this.isEnabled = true;
+    this.settings = { ...DEFAULT_SETTINGS };
     this.urlCheckInterval = null;
     this.domObserver = null;
 
-    // Selectors for Apple Music elements on Discogs
-    // Discogs uses MusicKit JS widgets, not iframes
-    this.appleMusicSelectors = [
-      // Discogs-specific selectors for the Apple Music section
-      '.audio_player_apple',
-      '#release-apple-music',
-      '[class*="AppleMusic"]',
-      '[class*="apple-music"]',
-      '[class*="appleMusic"]',
-      // MusicKit JS elements
-      'apple-music-card-player',
-      'apple-music-artwork',
-      '[data-apple-music]',
-      // Generic iframe selectors (fallback)
-      'iframe[src*="embed.music.apple.com"]',
-      'iframe[src*="tools.applemusic.com"]',
-      'iframe[src*="music.apple.com"]'
-    ];
     this.processed = false;
     this.processing = false; // Lock to prevent concurrent processing
+    this.metadata = null; // Metadata of the release currently shown
+    this.replacedEmbed = null; // { original, placeholder, replacement } so disabling can restore Apple Music
+    this.badgesActive = false; // Whether result rows on this page get match badges
+    this.badgeScanTimer = null;
+    this.badgeScanRunning = false;
+    this.badgeScanGeneration = 0; // Bumped when badges stop, so a scan still awaiting results ends
+    this.closePopoverHandler = null;
+    this.historyBlurHandler = null; // Watches for clicks into the player's iframe
     this.currentUrl = window.location.href;
     this.init();
   }
 
   async init() {
+    // Listen for settings changes from the popup, even while disabled
+    chrome.runtime.onMessage.addListener((message) => {
+      if (message.type === 'SETTINGS_CHANGED') {
+        this.handleSettingsChanged(message);
+      }
+    });
+
     // Check if extension is enabled
-    const settings = await this.getSettings();
-    this.isEnabled = settings.enabled !== false;
+    this.settings = await this.getSettings();
+    this.isEnabled = this.settings.enabled !== false;
 
     if (!this.isEnabled) {
       console.log('[Discotify] Extension is disabled');
       return;
     }
 
+    this.start();
+  }
+
+  /**
+   * Start processing the page and watching for changes
+   */
+  start() {
     console.log('[Discotify] Initializing on:', window.location.href);
 
+    this.currentUrl = window.location.href;
+    this.processed = false;
+    this.processing = false;
+
     // Wait a bit for dynamic content to load
-    setTimeout(() => this.processPage(), 1000);
+    setTimeout(() => this.processPage(), this.settings.processDelay);
 
     // Also watch for dynamically added content
     this.observeDOM();
@@ -74,6 +118,29 @@ class Discotify {
     window.addEventListener('popstate', this.handlePopstate);
   }
 
+  /**
+   * Apply settings changed in the popup without reloading the tab
+   * @param {{enabled?: boolean}} message - SETTINGS_CHANGED message
+   */
+  async handleSettingsChanged(message) {
+    this.settings = await this.getSettings();
+
+    if (message.enabled === false && this.isEnabled) {
+      console.log('[Discotify] Disabled, restoring the page');
+      this.isEnabled = false;
+      this.destroy();
+    } else if (message.enabled === true && !this.isEnabled) {
+      console.log('[Discotify] Enabled');
+      this.isEnabled = true;
+      this.start();
+    } else if (this.isEnabled) {
+      // Other settings (e.g. market) may change the match, so start over
+      console.log('[Discotify] Settings changed, reprocessing page');
+      this.destroy();
+      this.start();
+    }
+  }
+
   /**
    * Clean up observers and intervals to prevent memory leaks
    */
@@ -90,40 +157,169 @@ class Discotify {
       window.removeEventListener('popstate', this.handlePopstate);
       this.handlePopstate = null;
     }
+    this.stopResultBadges();
+    this.restoreOriginalEmbed();
     this.cleanupPlayers();
   }
 
+  /**
+   * Put our container in place of the Apple Music embed according to the
+   * display mode: replace it, show both side by side, or switch between them
+   * in tabs. A placeholder marks the embed's spot for restoreOriginalEmbed().
+   */
+  replaceOriginalEmbed(originalEmbed, container) {
+    if (!this.isEnabled) return;
+
+    const { displayMode, insertPosition } = this.settings;
+    const location = insertPosition === 'auto' ? null : this.findInsertLocation();
+
+    // With an explicit position, side by side just means leaving Apple Music alone
+    if (displayMode === 'side-by-side' && location) {
+      this.insertContainer(location, container);
+      return;
+    }
+
+    const placeholder = document.createComment('discotify-original-embed');
+    originalEmbed.replaceWith(placeholder);
+
+    let replacement = container;
+    if (displayMode === 'side-by-side') {
+      replacement = this.createSideBySideWrapper(originalEmbed, container);
+    } else if (displayMode === 'tabbed') {
+      replacement = this.createTabbedWrapper(originalEmbed, container);
+    }
+
+    if (location) {
+      this.insertAtLocation(location, replacement);
+    } else {
+      placeholder.after(replacement);
+    }
+
+    this.replacedEmbed = { original: originalEmbed, placeholder, replacement };
+  }
+
+  /**
+   * Put back the Apple Music embed that our player replaced
+   */
+  restoreOriginalEmbed() {
+    if (!this.replacedEmbed) return;
+
+    const { original, placeholder, replacement } = this.replacedEmbed;
+    replacement.remove();
+    if (placeholder.isConnected) {
+      placeholder.replaceWith(original);
+      console.log('[Discotify] Restored original Apple Music embed');
+    }
+    this.replacedEmbed = null;
+  }
+
+  createSideBySideWrapper(originalEmbed, container) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'discotify-embed-wrapper discotify-side-by-side';
+
+    const applePane = document.createElement('div');
+    applePane.className = 'discotify-pane';
+    applePane.appendChild(originalEmbed);
+
+    const spotifyPane = document.createElement('div');
+    spotifyPane.className = 'discotify-pane';
+    spotifyPane.appendChild(container);
+
+    wrapper.appendChild(applePane);
+    wrapper.appendChild(spotifyPane);
+    return wrapper;
+  }
+
+  createTabbedWrapper(originalEmbed, container) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'discotify-embed-wrapper discotify-tabbed';
+
+    const tabBar = document.createElement('div');
+    tabBar.className = 'discotify-tab-bar';
+
+    const panes = {
+      spotify: container,
+      apple: originalEmbed
+    };
+    const labels = {
+      spotify: 'Spotify',
+      apple: 'Apple Music'
+    };
+
+    Object.entries(panes).forEach(([name, content], index) => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'discotify-tab';
+      tab.dataset.tab = name;
+      tab.textContent = labels[name];
+      tab.classList.toggle('active', index === 0);
+      tabBar.appendChild(tab);
+
+      const pane = document.createElement('div');
+      pane.className = 'discotify-pane';
+      pane.dataset.pane = name;
+      pane.hidden = index !== 0;
+      pane.appendChild(content);
+      wrapper.appendChild(pane);
+    });
+
+    tabBar.addEventListener('click', (event) => {
+      const tab = event.target.closest('.discotify-tab');
+      if (!tab) return;
+
+      tabBar.querySelectorAll('.discotify-tab').forEach((el) => {
+        el.classList.toggle('active', el === tab);
+      });
+      wrapper.querySelectorAll('.discotify-pane').forEach((pane) => {
+        pane.hidden = pane.dataset.pane !== tab.dataset.tab;
+      });
+    });
+
+    wrapper.prepend(tabBar);
+    return wrapper;
+  }
+
   handleNavigation() {
     this.currentUrl = window.location.href;
     this.processed = false;
     this.processing = false;
 
     // Remove existing Spotify players from the previous page
+    this.stopResultBadges();
     this.cleanupPlayers();
 
     // Process the new page after a delay for content to load
-    setTimeout(() => this.processPage(), 1000);
+    setTimeout(() => this.processPage(), this.settings.processDelay);
   }
 
   cleanupPlayers() {
-    const existingPlayers = document.querySelectorAll('.discotify-player-container, .discotify-no-match');
+    this.stopHistoryTracking();
+    const existingPlayers = document.querySelectorAll(
+      '.discotify-player-container, .discotify-no-match, .discotify-export-panel, ' +
+      '.discotify-track-btn, .discotify-track-embed, .discotify-match-badge'
+    );
     existingPlayers.forEach(player => {
       console.log('[Discotify] Removing old player');
       player.remove();
     });
+
+    // Let the next scan badge these links again
+    document.querySelectorAll('[data-discotify-badged]').forEach((link) => {
+      delete link.dataset.discotifyBadged;
+    });
   }
 
   async getSettings() {
     return new Promise((resolve) => {
-      chrome.storage.sync.get(['enabled', 'spotifyToken'], (result) => {
+      chrome.storage.sync.get(DEFAULT_SETTINGS, (result) => {
         resolve(result);
       });
     });
   }
 
   processPage() {
-    // Check if already processed or currently processing
-    if (this.processed || this.processing) return;
+    // Check if already processed, currently processing or disabled meanwhile
+    if (this.processed || this.processing || !this.isEnabled) return;
 
     // Check if we already have a Spotify player on the page
     if (document.querySelector('.discotify-player-container')) {
@@ -134,6 +330,44 @@ class Discotify {
     // Set processing lock immediately
     this.processing = true;
 
+    // Search and list pages get a match badge on each release; seller
+    // inventories always do, as their per-row preview buttons
+    if ((this.settings.resultBadges && this.isResultsPage()) || this.isInventoryPage()) {
+      this.badgesActive = true;
+      this.scanResultBadges();
+    }
+
+    // Marketplace item pages preview the release being sold
+    if (this.isMarketplaceReleasePage()) {
+      this.processed = true;
+      this.addPlayerToPage(this.extractMarketplaceMetadata());
+      return;
+    }
+
+    // Label pages get a queue player stepping through the label's catalog
+    const labelId = this.parseLabelId();
+    if (labelId) {
+      this.processed = true;
+      this.addLabelPanel();
+      return;
+    }
+
+    // Collection, wantlist and list pages get the playlist export panel instead
+    const exportSource = this.parseExportSource();
+    if (exportSource) {
+      this.processed = true;
+      this.addExportPanel(exportSource);
+      return;
+    }
+
+    // Artist pages get the artist's top tracks and discography
+    const artistId = this.parseArtistId();
+    if (artistId) {
+      this.processed = true;
+      this.addArtistPanel(artistId);
+      return;
+    }
+
     // First, try to find Apple Music embeds with selectors
     let embeds = this.findAppleMusicEmbeds();
     console.log(`[Discotify] Found ${embeds.length} Apple Music embed(s) via selectors`);
@@ -153,7 +387,7 @@ class Discotify {
       if (this.isReleasePage()) {
         console.log('[Discotify] This is a release page, adding Spotify player');
         this.processed = true;
-        this.addSpotifyPlayerToPage();
+        this.addPlayerToPage();
       } else {
         this.processing = false; // Release lock if not processing
       }
@@ -167,9 +401,17 @@ class Discotify {
     this.replaceEmbed(embeds[0]);
   }
 
+  /**
+   * Apple Music selectors from the options page, or the built-in ones
+   */
+  getAppleMusicSelectors() {
+    const custom = this.settings.appleMusicSelectors;
+    return custom?.length ? custom : APPLE_MUSIC_SELECTORS;
+  }
+
   findAppleMusicEmbeds() {
     const embeds = [];
-    this.appleMusicSelectors.forEach((selector) => {
+    this.getAppleMusicSelectors().forEach((selector) => {
       try {
         document.querySelectorAll(selector).forEach((el) => {
           if (!embeds.includes(el)) {
@@ -234,6 +476,36 @@ class Discotify {
     return url.includes('/release/') || url.includes('/master/');
   }
 
+  /**
+   * Parse the Discogs entity type and ID from the current URL
+   * Handles localized paths like /de/release/123-Artist-Album
+   * @returns {{discogsType: string|null, discogsId: string|null}}
+   */
+  parseDiscogsUrl() {
+    return this.parseDiscogsPath(window.location.pathname);
+  }
+
+  /**
+   * Parse a release/master path, optionally prefixed by a locale (/de/, /pt_BR/)
+   * @param {string} pathname - URL path to parse
+   * @returns {{discogsType: string|null, discogsId: string|null}}
+   */
+  parseDiscogsPath(pathname) {
+    const match = pathname.match(/^(?:\/[a-z]{2}(?:_[A-Z]{2})?)?\/(release|master)\/(\d+)/);
+    return {
+      discogsType: match ? match[1] : null,
+      discogsId: match ? match[2] : null
+    };
+  }
+
+  /**
+   * Spotify logo markup for innerHTML templates
+   * @param {number} [size] - Width and height in pixels
+   */
+  spotifyLogo(size = 20) {
+    return `<svg viewBox="0 0 24 24" width="${size}" height="${size}" fill="#1DB954"><path d="${SPOTIFY_LOGO_PATH}"/></svg>`;
+  }
+
   /**
    * Escape HTML special characters to prevent XSS attacks
    * @param {string} text - Text to escape
@@ -246,33 +518,39 @@ class Discotify {
     return div.innerHTML;
   }
 
-  async addSpotifyPlayerToPage() {
-    // Add Spotify player even if no Apple Music embed was found
-    const metadata = this.extractDiscogsMetadata();
-
+  async addPlayerToPage(metadata = this.extractDiscogsMetadata()) {
+    // Add the player even if no Apple Music embed was found
     if (!metadata.artist || !metadata.album) {
       console.log('[Discotify] Could not extract metadata from page');
       return;
     }
 
-    console.log(`[Discotify] Searching Spotify for: ${metadata.artist} - ${metadata.album}`);
+    console.log(`[Discotify] Searching for: ${metadata.artist} - ${metadata.album}`);
 
-    const spotifyData = await this.searchSpotify(metadata);
+    this.metadata = metadata;
+    const result = await this.searchRelease(metadata, { lookupBarcodes: true });
 
-    if (spotifyData && spotifyData.uri) {
-      // Find a good place to insert the Spotify player
+    if (result && result.uri) {
+      // Find a good place to insert the player
       const targetLocation = this.findInsertLocation();
       if (targetLocation) {
-        this.insertSpotifyPlayer(targetLocation, spotifyData);
+        this.insertPlayer(targetLocation, result);
       }
     } else {
-      console.log('[Discotify] No Spotify match found');
+      console.log('[Discotify] No album match found');
+      const fallback = await this.createTrackFallbackPlayer(metadata);
+      const targetLocation = this.findInsertLocation();
+      if (fallback && targetLocation) {
+        this.insertContainer(targetLocation, fallback);
+      }
     }
+
+    this.addTrackButtons(metadata);
   }
 
   findInsertLocation() {
     // Find the best location to insert the Spotify player
-    // Priority: sidebar, after release info, etc.
+    // The user's chosen position wins; otherwise sidebar, after release info, etc.
 
     // Look for the sidebar/right column
     const sidebar = document.querySelector('.body aside') ||
@@ -280,6 +558,19 @@ class Discotify {
                     document.querySelector('[class*="Sidebar"]') ||
                     document.querySelector('.right');
 
+    const tracklist = document.querySelector('#release-tracklist') ||
+                      document.querySelector('#tracklist') ||
+                      document.querySelector('table[class*="tracklist"]');
+
+    const preferred = {
+      'sidebar-top': sidebar && { element: sidebar, position: 'prepend' },
+      'sidebar-bottom': sidebar && { element: sidebar, position: 'append' },
+      'before-tracklist': tracklist && { element: tracklist, position: 'before' },
+      'after-tracklist': tracklist && { element: tracklist, position: 'after' }
+    }[this.settings.insertPosition];
+
+    if (preferred) return preferred;
+
     if (sidebar) return { element: sidebar, position: 'prepend' };
 
     // Look for after the main release info
@@ -292,24 +583,36 @@ class Discotify {
     return null;
   }
 
-  insertSpotifyPlayer(location, spotifyData) {
+  insertPlayer(location, result) {
+    const container = this.createPlayerContainer(result);
+    this.insertContainer(location, container);
+    if (container.isConnected) this.recordHistory(result, container);
+  }
+
+  insertContainer(location, container) {
+    // The extension may have been disabled while we were searching
+    if (!this.isEnabled) return;
+
     // Final check to prevent duplicates
     if (document.querySelector('.discotify-player-container')) {
       console.log('[Discotify] Player already exists, skipping insert');
       return;
     }
 
-    const container = this.createSpotifyContainer(spotifyData);
+    this.insertAtLocation(location, container);
+    console.log('[Discotify] Inserted player');
+  }
 
+  insertAtLocation(location, element) {
     if (location.position === 'prepend') {
-      location.element.prepend(container);
+      location.element.prepend(element);
+    } else if (location.position === 'before') {
+      location.element.before(element);
     } else if (location.position === 'after') {
-      location.element.after(container);
+      location.element.after(element);
     } else {
-      location.element.appendChild(container);
+      location.element.appendChild(element);
     }
-
-    console.log('[Discotify] Inserted Spotify player');
   }
 
   async replaceEmbed(embed) {
@@ -322,166 +625,806 @@ class Discotify {
         return;
       }
 
-      console.log(`[Discotify] Searching Spotify for: ${metadata.artist} - ${metadata.album}`);
+      console.log(`[Discotify] Searching for: ${metadata.artist} - ${metadata.album}`);
 
-      const spotifyData = await this.searchSpotify(metadata);
+      this.metadata = metadata;
+      const result = await this.searchRelease(metadata, { lookupBarcodes: true });
 
-      if (spotifyData && spotifyData.uri) {
-        this.createSpotifyPlayer(embed, spotifyData);
+      if (result && result.uri) {
+        this.createPlayer(embed, result);
       } else {
-        console.log('[Discotify] No Spotify match found');
-        this.showNoMatchMessage(embed, metadata);
+        console.log('[Discotify] No album match found');
+        const fallback = await this.createTrackFallbackPlayer(metadata);
+
+        // The page may have changed while tracks were being matched
+        if (!embed.isConnected) return;
+
+        if (fallback) {
+          this.replaceOriginalEmbed(embed, fallback);
+        } else {
+          this.showNoMatchMessage(embed, metadata);
+        }
       }
+
+      this.addTrackButtons(metadata);
     } catch (error) {
       console.error('[Discotify] Error replacing embed:', error);
     }
   }
 
+  /**
+   * Read the release shown on the page. Structured data comes first: the
+   * JSON-LD release schema, then Open Graph tags, with the release ID taken
+   * from the URL. The DOM heuristics only fill in what those don't provide.
+   * @returns {{
+   *   artist: string|null, artists: string[], album: string|null,
+   *   year: string|null, masterYear: string|null, format: string|null,
+   *   label: string|null, catno: string|null, country: string|null,
+   *   discogsType: string|null, discogsId: string|null,
+   *   artistSource: string|null, tracks: Array, barcodes: string[], isCompilation: boolean
+   * }} `artist` is the first credited artist, which searches use, or "Various"
+   *   on compilations; `artistSource` says where the artists were read from
+   *   ("schema", "open-graph", "title", "first-link" or "document-title");
+   *   `year` is this release's year and `masterYear` the original release's
+   */
   extractDiscogsMetadata() {
     const metadata = {
       artist: null,
+      artists: [],
+      artistSource: null,
       album: null,
-      year: null
+      year: null,
+      masterYear: null,
+      format: null,
+      label: null,
+      catno: null,
+      country: null,
+      ...this.parseDiscogsUrl()
     };
 
     console.log('[Discotify] Extracting metadata...');
 
-    // Method 1: Try profile_title structure (older Discogs layout)
-    const profileTitle = document.querySelector('#profile_title');
-    if (profileTitle) {
-      const artistLink = profileTitle.querySelector('a[href*="/artist/"]');
-      if (artistLink) {
-        metadata.artist = artistLink.textContent.trim();
+    this.applySchemaMetadata(metadata);
+    this.applyOpenGraphMetadata(metadata);
+    this.applyDomMetadata(metadata);
+
+    metadata.artist = metadata.artists[0] || null;
+    // On a master page, the year shown is the original release's
+    if (metadata.discogsType === 'master' && !metadata.masterYear) {
+      metadata.masterYear = metadata.year;
+    }
+
+    metadata.tracks = this.extractTracklist();
+    metadata.barcodes = this.extractBarcodes();
+
+    // Compilations are searched by title, label and year, never by one track's artist
+    metadata.isCompilation = this.isCompilation(metadata);
+    if (metadata.isCompilation) {
+      metadata.artist = 'Various';
+    }
+
+    console.log('[Discotify] Extracted metadata:', metadata);
+    return metadata;
+  }
+
+  /**
+   * Whether the release is a Various Artists compilation: credited to
+   * "Various", or credited to nobody. When the artist is only the first
+   * artist link on the page, it is a guess that lands on a track artist on
+   * compilations without an artist link, so one of several track artists
+   * counts as nobody. Artists read from the release itself are trusted, as
+   * albums with features, splits and DJ mixes credit tracks too.
+   */
+  isCompilation(metadata) {
+    if (metadata.artists.some((artist) => /^various(?: artists)?$/i.test(artist))) {
+      return true;
+    }
+
+    const trackArtists = new Set(metadata.tracks.map((track) => this.cleanArtistName(track.artist)).filter(Boolean));
+    if (metadata.artists.length === 0) {
+      return trackArtists.size > 1;
+    }
+    return metadata.artistSource === 'first-link' && trackArtists.size >= 3 && trackArtists.has(metadata.artists[0]);
+  }
+
+  /**
+   * Find the page's MusicRelease/MusicAlbum JSON-LD schema
+   * Discogs navigates without reloading, so a schema describing another
+   * release than the one in the URL is ignored.
+   * @param {string|null} discogsId - Release or master ID from the URL
+   * @returns {Object|null}
+   */
+  findReleaseSchema(discogsId) {
+    const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+
+    for (const script of scripts) {
+      let data;
+      try {
+        data = JSON.parse(script.textContent);
+      } catch {
+        continue;
+      }
+
+      const nodes = [data].flat().flatMap((node) => node?.['@graph'] || [node]);
+      const schema = nodes.find((node) => {
+        const types = [node?.['@type']].flat();
+        return types.includes('MusicRelease') || types.includes('MusicAlbum');
+      });
+      if (!schema) continue;
+
+      const schemaUrl = schema['@id'] || schema.url;
+      const schemaId = schemaUrl ? this.parseDiscogsPath(this.getUrlPath(schemaUrl)).discogsId : null;
+      if (discogsId && schemaId && schemaId !== discogsId) continue;
+
+      return schema;
+    }
+
+    return null;
+  }
+
+  /**
+   * Fill metadata from the JSON-LD schema. Release pages describe a
+   * MusicRelease whose `releaseOf` is the master; master pages a MusicAlbum.
+   */
+  applySchemaMetadata(metadata) {
+    const schema = this.findReleaseSchema(metadata.discogsId);
+    if (!schema) return;
+
+    const album = schema.releaseOf || schema;
+    const artists = [schema.byArtist || album.byArtist].flat().filter(Boolean);
+    const labels = [schema.recordLabel].flat().filter(Boolean);
+
+    metadata.artists = artists
+      .map((artist) => this.cleanArtistName(typeof artist === 'string' ? artist : artist.name))
+      .filter(Boolean);
+    if (metadata.artists.length > 0) metadata.artistSource = 'schema';
+    metadata.album = this.decodeEntities(schema.name || album.name) || null;
+    metadata.year = this.parseYear(schema.datePublished ?? schema.releasedEvent?.startDate);
+    metadata.masterYear = schema.releaseOf ? this.parseYear(album.datePublished) : null;
+    metadata.format = this.parseSchemaFormat(schema.musicReleaseFormat);
+    metadata.label = this.decodeEntities(labels[0]?.name || labels[0]) || null;
+    metadata.catno = schema.catalogNumber || null;
+    metadata.country = schema.releasedEvent?.location?.name || schema.countryOfOrigin?.name || null;
+
+    if (!metadata.discogsId) {
+      const schemaUrl = schema['@id'] || schema.url;
+      if (schemaUrl) Object.assign(metadata, this.parseDiscogsPath(this.getUrlPath(schemaUrl)));
+    }
+  }
+
+  /**
+   * Fill the release ID, artist and title from Open Graph tags
+   * og:title reads "Artist – Title"; spaces around the dash keep hyphenated
+   * names like "Jay-Z" whole.
+   */
+  applyOpenGraphMetadata(metadata) {
+    const ogUrl = document.querySelector('meta[property="og:url"]')?.content;
+    if (ogUrl && !metadata.discogsId) {
+      Object.assign(metadata, this.parseDiscogsPath(this.getUrlPath(ogUrl)));
+    }
+
+    if (metadata.artists.length > 0 && metadata.album) return;
+
+    const ogTitle = document.querySelector('meta[property="og:title"]')?.content;
+    const match = ogTitle?.match(/^(.+?)\s+[–-]\s+(.+?)(?:\s*\|.*)?$/);
+    if (!match) return;
+
+    if (metadata.artists.length === 0) {
+      metadata.artists = [this.cleanArtistName(match[1])];
+      metadata.artistSource = 'open-graph';
+    }
+    if (!metadata.album) metadata.album = match[2].trim();
+  }
+
+  /**
+   * Fallback DOM heuristics for whatever the structured data didn't provide
+   */
+  applyDomMetadata(metadata) {
+    const titleElement = document.querySelector(
+      '#profile_title, h1[class*="title"], h1.title, [class*="release_title"]'
+    );
+    const titleArtistLinks = titleElement ? [...titleElement.querySelectorAll('a[href*="/artist/"]')] : [];
+
+    // Artists: every artist linked in the title, or the first one on the page
+    if (metadata.artists.length === 0) {
+      const links = titleArtistLinks.length > 0
+        ? titleArtistLinks
+        : [document.querySelector('a[href*="/artist/"]')].filter(Boolean);
+      metadata.artists = links.map((link) => this.cleanArtistName(link.textContent)).filter(Boolean);
+      if (metadata.artists.length > 0) {
+        metadata.artistSource = titleArtistLinks.length > 0 ? 'title' : 'first-link';
       }
+    }
+
+    // Album: the title text after the artist links, or after " – " without them
+    if (!metadata.album && titleElement) {
+      const titleSpan = titleElement.querySelector('span[itemprop="name"]');
+      const lastArtistLink = titleArtistLinks[titleArtistLinks.length - 1];
 
-      const titleSpan = profileTitle.querySelector('span[itemprop="name"]');
+      let title;
       if (titleSpan) {
-        metadata.album = titleSpan.textContent.trim();
+        title = titleSpan.textContent;
+      } else if (lastArtistLink) {
+        const range = document.createRange();
+        range.setStartAfter(lastArtistLink);
+        range.setEndAfter(titleElement.lastChild);
+        title = range.toString().replace(/^[\s*]*[–-]\s*/, '');
+      } else {
+        title = titleElement.textContent.split(/\s+[–-]\s+/).pop();
       }
+      metadata.album = title.trim() || null;
     }
 
-    // Method 2: Try the page header (modern Discogs layout)
-    if (!metadata.artist) {
-      // Look for artist in the page title area
-      const artistLinks = document.querySelectorAll('a[href*="/artist/"]');
-      for (const link of artistLinks) {
-        // Get the first artist link that's likely the main artist
-        if (link.closest('h1, h2, [class*="title"], [class*="header"]')) {
-          metadata.artist = link.textContent.trim();
-          break;
+    // Last resort: "Artist - Album | Discogs" document title
+    if (metadata.artists.length === 0 || !metadata.album) {
+      const match = document.title.match(/^(.+?)\s+[–-]\s+(.+?)\s*\|/);
+      if (match) {
+        if (metadata.artists.length === 0) {
+          metadata.artists = [this.cleanArtistName(match[1])];
+          metadata.artistSource = 'document-title';
         }
-      }
-      // Fallback: first artist link on page
-      if (!metadata.artist && artistLinks.length > 0) {
-        metadata.artist = artistLinks[0].textContent.trim();
+        if (!metadata.album) metadata.album = match[2].trim();
       }
     }
 
-    // Method 3: Try to get album from title element
-    if (!metadata.album) {
-      const titleElement = document.querySelector('h1[class*="title"], h1.title, [class*="release_title"]');
-      if (titleElement) {
-        let title = titleElement.textContent.trim();
-        // Remove artist name if present (format: "Artist – Album")
-        if (metadata.artist && title.includes('–')) {
-          title = title.split('–').pop().trim();
-        } else if (metadata.artist && title.includes('-')) {
-          title = title.split('-').pop().trim();
-        }
-        metadata.album = title;
+    if (!metadata.year) {
+      const yearLink = document.querySelector('a[href*="/year/"]');
+      metadata.year = this.parseYear(yearLink?.textContent || this.getReleaseInfo('Released'));
+    }
+
+    if (!metadata.format) {
+      metadata.format = this.getReleaseInfo('Format');
+    }
+
+    if (!metadata.label) {
+      // "Harvest – SHVL 795, Harvest – 1E 064"
+      const label = this.getReleaseInfo('Label')?.match(/^(.+?)\s+[–-]\s+([^,]+)/);
+      if (label) {
+        metadata.label = this.cleanArtistName(label[1]);
+        metadata.catno = metadata.catno || label[2].trim();
       }
     }
 
-    // Method 4: Parse from document title (last resort)
-    if (!metadata.artist || !metadata.album) {
-      const docTitle = document.title;
-      // Discogs title format: "Artist - Album | Discogs" or "Artist – Album | Discogs"
-      const match = docTitle.match(/^(.+?)\s*[-–]\s*(.+?)\s*\|/);
-      if (match) {
-        if (!metadata.artist) metadata.artist = match[1].trim();
-        if (!metadata.album) metadata.album = match[2].trim();
+    if (!metadata.country) {
+      metadata.country = this.getReleaseInfo('Country');
+    }
+  }
+
+  /**
+   * Read a row of the release info table ("Label:", "Format:", "Country:"...)
+   * @returns {string|null}
+   */
+  getReleaseInfo(name) {
+    const heads = document.querySelectorAll('#release-header th, #info th, .profile .head, table[class*="info"] th');
+    const wanted = name.toLowerCase();
+
+    for (const head of heads) {
+      if (head.textContent.trim().replace(/:$/, '').toLowerCase() === wanted) {
+        return head.nextElementSibling?.textContent.replace(/\s+/g, ' ').trim() || null;
       }
     }
+    return null;
+  }
+
+  /**
+   * "http://schema.org/VinylFormat" or "VinylFormat" → "Vinyl"
+   */
+  parseSchemaFormat(format) {
+    const value = [format].flat()[0];
+    if (typeof value !== 'string') return null;
+    return value.split('/').pop().replace(/Format$/, '') || null;
+  }
+
+  /**
+   * Drop the "*" Discogs marks name variations with
+   */
+  cleanArtistName(name) {
+    return name?.replace(/\s+/g, ' ').replace(/\*$/, '').trim() || null;
+  }
+
+  parseYear(value) {
+    return String(value ?? '').match(/\b\d{4}\b/)?.[0] || null;
+  }
+
+  getUrlPath(url) {
+    try {
+      return new URL(url, window.location.origin).pathname;
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * JSON-LD strings may still carry HTML entities ("Simon &amp; Garfunkel")
+   */
+  decodeEntities(text) {
+    if (!text || !text.includes('&')) return text;
+    return new DOMParser().parseFromString(text, 'text/html').documentElement.textContent;
+  }
+
+  /**
+   * Parse the release tracklist (modern and older Discogs layouts)
+   * @returns {Array<{position: string, title: string, artist: string|null, duration: number|null}>}
+   */
+  extractTracklist() {
+    return this.getTracklistRows().map(({ row: _row, titleEl: _titleEl, ...track }) => track);
+  }
+
+  /**
+   * Find tracklist rows along with their parsed track data
+   */
+  getTracklistRows() {
+    const rows = document.querySelectorAll(
+      '[data-track-position], #tracklist .tracklist_track, table[class*="tracklist"] tr'
+    );
+    const tracks = [];
+
+    rows.forEach((row) => {
+      // Prefer the title span over its cell, which also holds credits
+      const titleEl = row.querySelector('span[class*="trackTitle"]') ||
+                      row.querySelector('.tracklist_track_title') ||
+                      row.querySelector('[class*="trackTitle"]');
+      const positionEl = row.querySelector('[class*="trackPos"]') ||
+                         row.querySelector('.tracklist_track_pos');
+      const durationEl = row.querySelector('[class*="duration"]') ||
+                         row.querySelector('.tracklist_track_duration');
+      const artistEl = row.querySelector('[class*="artist"] a[href*="/artist/"]') ||
+                       row.querySelector('.tracklist_track_artists a');
+
+      const title = titleEl?.textContent.trim();
+      const position = (row.dataset.trackPosition || positionEl?.textContent || '').trim();
+      const duration = this.parseDuration(durationEl?.textContent);
+
+      // Headings and index tracks have neither a position nor a duration
+      if (!title || (!position && !duration)) return;
+
+      tracks.push({
+        row,
+        titleEl,
+        position,
+        title,
+        artist: artistEl?.textContent.trim() || null,
+        duration
+      });
+    });
+
+    return tracks;
+  }
 
-    // Get year
-    const yearLink = document.querySelector('a[href*="/year/"]');
-    if (yearLink) {
-      metadata.year = yearLink.textContent.trim();
+  /**
+   * Read barcodes from the "Barcode and Other Identifiers" section
+   * Matches variants like "Barcode: 5 099902 987125" and "Barcode (Scanned): 5099902987125"
+   * @returns {string[]} UPC/EAN barcodes as digit strings
+   */
+  extractBarcodes() {
+    const section = document.querySelector('#release-barcodes') ||
+                    document.querySelector('#barcodes') ||
+                    document.querySelector('[class*="barcodes"]');
+    if (!section) return [];
+
+    const barcodes = new Set();
+    const pattern = /Barcode(?:\s*\([^)]*\))?\s*:?\s*(\d[\d\s-]{7,})/gi;
+
+    for (const [, value] of section.textContent.matchAll(pattern)) {
+      const digits = value.replace(/\D/g, '');
+      if (digits.length === 12 || digits.length === 13) {
+        barcodes.add(digits);
+      }
     }
 
-    console.log('[Discotify] Extracted metadata:', metadata);
-    return metadata;
+    return [...barcodes];
+  }
+
+  /**
+   * Convert "3:45" or "1:02:03" to seconds
+   * @returns {number|null}
+   */
+  parseDuration(text) {
+    const match = text?.trim().match(/^(?:(\d+):)?(\d+):(\d{2})$/);
+    if (!match) return null;
+    const [, hours, minutes, seconds] = match;
+    return (Number(hours) || 0) * 3600 + Number(minutes) * 60 + Number(seconds);
+  }
+
+  /**
+   * Find the release on the user's streaming providers, primary first
+   * @param {Object} [options]
+   * @param {boolean} [options.lookupBarcodes] - Let the background ask Discogs for
+   *   missing barcodes; only for the one release a page is about
+   */
+  async searchRelease(metadata, { lookupBarcodes = false } = {}) {
+    return this.sendMessage({
+      type: 'SEARCH_RELEASE',
+      payload: metadata,
+      lookupBarcodes
+    });
   }
 
-  async searchSpotify(metadata) {
+  /**
+   * Send a message to the background service worker
+   * @param {Object} message - Message with a `type` and optional payload
+   * @returns {Promise<*>} The response, or null if messaging failed
+   */
+  async sendMessage(message) {
     return new Promise((resolve) => {
-      chrome.runtime.sendMessage(
-        {
-          type: 'SEARCH_SPOTIFY',
-          payload: metadata
-        },
-        (response) => {
-          if (chrome.runtime.lastError) {
-            console.error('[Discotify] Message error:', chrome.runtime.lastError);
-            resolve(null);
-          } else {
-            resolve(response);
-          }
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          console.error('[Discotify] Message error:', chrome.runtime.lastError);
+          resolve(null);
+        } else {
+          resolve(response);
         }
-      );
+      });
     });
   }
 
-  createSpotifyContainer(spotifyData) {
+  /**
+   * Build the player for a search result from any provider.
+   * Match choosing and library actions are Spotify features, so they only
+   * show up for Spotify results.
+   */
+  createPlayerContainer(result) {
     const container = document.createElement('div');
     container.className = 'discotify-player-container';
 
-    const spotifyId = spotifyData.uri.split(':').pop();
-    const embedType = spotifyData.type || 'album';
+    const isSpotify = (result.provider || 'spotify') === 'spotify';
+    const embedType = result.type || 'album';
 
     // Add header
     const header = document.createElement('div');
     header.className = 'discotify-header';
-    header.innerHTML = `
-      <svg viewBox="0 0 24 24" width="20" height="20" fill="#1DB954">
-        <path d="M12 0C5.4 0 0 5.4 0 12s5.4 12 12 12 12-5.4 12-12S18.66 0 12 0zm5.521 17.34c-.24.359-.66.48-1.021.24-2.82-1.74-6.36-2.101-10.561-1.141-.418.122-.779-.179-.899-.539-.12-.421.18-.78.54-.9 4.56-1.021 8.52-.6 11.64 1.32.42.18.479.659.301 1.02zm1.44-3.3c-.301.42-.841.6-1.262.3-3.239-1.98-8.159-2.58-11.939-1.38-.479.12-1.02-.12-1.14-.6-.12-.48.12-1.021.6-1.141C9.6 9.9 15 10.561 18.72 12.84c.361.181.54.78.241 1.2zm.12-3.36C15.24 8.4 8.82 8.16 5.16 9.301c-.6.179-1.2-.181-1.38-.721-.18-.601.18-1.2.72-1.381 4.26-1.26 11.28-1.02 15.721 1.621.539.3.719 1.02.419 1.56-.299.421-1.02.599-1.559.3z"/>
-      </svg>
-      <span>Listen on Spotify</span>
-    `;
+    if (isSpotify) {
+      header.innerHTML = `
+        ${this.spotifyLogo()}
+      `;
+    }
+
+    const title = document.createElement('span');
+    title.textContent = `Listen on ${result.providerName || 'Spotify'}`;
+    header.appendChild(title);
+
+    if (result.isOverride) {
+      const tag = document.createElement('span');
+      tag.className = 'discotify-match-tag';
+      tag.textContent = 'Your pick';
+      header.appendChild(tag);
+    } else if (result.confidence) {
+      header.appendChild(this.createConfidenceTag(result));
+    } else if (result.matchType === 'exact') {
+      const tag = document.createElement('span');
+      tag.className = 'discotify-match-tag';
+      tag.textContent = 'Exact match';
+      tag.title = 'Matched by barcode/UPC';
+      header.appendChild(tag);
+    }
+
+    // Manual overrides are stored per release, so only offer them when we know the ID
+    if (isSpotify && this.metadata?.discogsId) {
+      const changeBtn = document.createElement('button');
+      changeBtn.type = 'button';
+      changeBtn.className = 'discotify-change-btn';
+      changeBtn.textContent = 'Wrong album?';
+      changeBtn.title = 'Pick another Spotify album for this release';
+      changeBtn.addEventListener('click', () => this.toggleAlbumChooser(container));
+      header.appendChild(changeBtn);
+    }
+
+    let warning = null;
+    if (result.playable === false) {
+      warning = document.createElement('div');
+      warning.className = 'discotify-warning';
+      warning.textContent = 'This album isn\'t playable in your Spotify market. Only previews may work.';
+    } else if (result.confidence === 'weak' && !result.isOverride) {
+      warning = document.createElement('div');
+      warning.className = 'discotify-warning';
+      warning.textContent = 'Weak match: this may not be the same release. Check the album before listening.';
+    }
 
     const iframe = document.createElement('iframe');
-    iframe.src = `https://open.spotify.com/embed/${embedType}/${spotifyId}?utm_source=generator&theme=0`;
+    iframe.src = result.embedUrl;
     iframe.width = '100%';
-    iframe.height = '352';
+    iframe.height = String(result.embedHeight || 352);
     iframe.frameBorder = '0';
     iframe.allow = 'autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture';
     iframe.loading = 'lazy';
     iframe.className = 'discotify-spotify-embed';
 
     container.appendChild(header);
+    if (warning) container.appendChild(warning);
     container.appendChild(iframe);
 
+    if (result.purchaseUrl) {
+      container.appendChild(this.createBuyCard(result));
+    }
+
+    if (isSpotify && embedType === 'album' && result.id) {
+      container.appendChild(this.createActionBar(result));
+    }
+
     return container;
   }
 
-  createSpotifyPlayer(originalEmbed, spotifyData) {
-    // Final check to prevent duplicates
-    if (document.querySelector('.discotify-player-container')) {
-      console.log('[Discotify] Player already exists, skipping replace');
-      return;
-    }
+  /**
+   * Build the header tag showing how confident the match is, with the
+   * scoring factors in its tooltip
+   */
+  createConfidenceTag(result) {
+    const tag = document.createElement('span');
+    tag.className = `discotify-match-tag discotify-confidence-${result.confidence}`;
+    tag.textContent = `${result.confidence[0].toUpperCase()}${result.confidence.slice(1)} match`;
 
-    const container = this.createSpotifyContainer(spotifyData);
+    const factors = (result.factors || []).map(({ label, detail, points }) =>
+      points ? `${label}: ${detail} (${points > 0 ? '+' : ''}${points})` : `${label}: ${detail}`
+    );
+    tag.title = [`Match score ${result.score}`, ...factors].join('\n');
 
-    // Replace the original embed
-    originalEmbed.parentNode.replaceChild(container, originalEmbed);
-    console.log('[Discotify] Successfully replaced Apple Music embed with Spotify player');
+    return tag;
   }
 
-  showNoMatchMessage(originalEmbed, metadata) {
-    const container = document.createElement('div');
-    container.className = 'discotify-no-match';
-
+  /**
+   * Build the "Buy on ..." card for results from stores like Bandcamp
+   */
+  createBuyCard(result) {
+    const card = document.createElement('div');
+    card.className = 'discotify-buy-card';
+
+    const text = document.createElement('span');
+    text.textContent = 'Support the artist directly';
+
+    const link = document.createElement('a');
+    link.className = 'discotify-buy-link';
+    link.href = result.purchaseUrl;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = `Buy on ${result.providerName}`;
+
+    card.appendChild(text);
+    card.appendChild(link);
+    return card;
+  }
+
+  /**
+   * Build the library/playlist action bar shown under the player.
+   * It stays hidden until we know the user is logged in with Spotify.
+   */
+  createActionBar(spotifyData) {
+    const bar = document.createElement('div');
+    bar.className = 'discotify-actions';
+    bar.hidden = true;
+
+    const saveBtn = this.createActionButton('Save to Library');
+    saveBtn.addEventListener('click', async () => {
+      saveBtn.disabled = true;
+      const response = await this.sendMessage({
+        type: 'SAVE_ALBUM',
+        payload: { albumId: spotifyData.id }
+      });
+      this.setActionState(saveBtn, response?.success, 'Saved', 'Save to Library');
+    });
+    bar.appendChild(saveBtn);
+
+    let followBtn = null;
+    if (spotifyData.artistId) {
+      followBtn = this.createActionButton('Follow Artist');
+      followBtn.addEventListener('click', async () => {
+        followBtn.disabled = true;
+        const response = await this.sendMessage({
+          type: 'FOLLOW_ARTIST',
+          payload: { artistId: spotifyData.artistId }
+        });
+        this.setActionState(followBtn, response?.success, 'Following', 'Follow Artist');
+      });
+      bar.appendChild(followBtn);
+    }
+
+    const playlistBtn = this.createActionButton('Add to Playlist');
+    playlistBtn.addEventListener('click', () => this.togglePlaylistMenu(bar, playlistBtn, spotifyData));
+    bar.appendChild(playlistBtn);
+
+    this.loadLibraryState(bar, spotifyData, saveBtn, followBtn);
+
+    return bar;
+  }
+
+  createActionButton(label) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'discotify-action-btn';
+    button.textContent = label;
+    return button;
+  }
+
+  /**
+   * Show a button as done (disabled with the done label) or restore it after a failure
+   */
+  setActionState(button, done, doneLabel, idleLabel) {
+    button.textContent = done ? doneLabel : idleLabel;
+    button.classList.toggle('done', !!done);
+    button.disabled = !!done;
+  }
+
+  async loadLibraryState(bar, spotifyData, saveBtn, followBtn) {
+    const state = await this.sendMessage({
+      type: 'GET_LIBRARY_STATE',
+      payload: { albumId: spotifyData.id, artistId: spotifyData.artistId }
+    });
+
+    if (!state?.loggedIn) return;
+
+    this.setActionState(saveBtn, state.saved, 'Saved', 'Save to Library');
+    if (followBtn) {
+      this.setActionState(followBtn, state.following, 'Following', 'Follow Artist');
+    }
+    bar.hidden = false;
+  }
+
+  async togglePlaylistMenu(bar, playlistBtn, spotifyData) {
+    const existing = bar.querySelector('.discotify-playlist-menu');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    const menu = document.createElement('div');
+    menu.className = 'discotify-playlist-menu';
+    menu.textContent = 'Loading playlists...';
+    bar.appendChild(menu);
+
+    const response = await this.sendMessage({ type: 'GET_PLAYLISTS' });
+
+    if (!response?.success) {
+      menu.textContent = response?.error || 'Could not load playlists';
+      return;
+    }
+    if (response.playlists.length === 0) {
+      menu.textContent = 'No editable playlists';
+      return;
+    }
+
+    menu.textContent = '';
+    response.playlists.forEach((playlist) => {
+      const item = document.createElement('button');
+      item.type = 'button';
+      item.className = 'discotify-playlist-item';
+      item.textContent = playlist.name;
+      item.addEventListener('click', async () => {
+        menu.remove();
+        playlistBtn.disabled = true;
+        playlistBtn.textContent = 'Adding...';
+        const result = await this.sendMessage({
+          type: 'ADD_TO_PLAYLIST',
+          payload: { albumId: spotifyData.id, playlistId: playlist.id }
+        });
+        playlistBtn.disabled = false;
+        playlistBtn.textContent = result?.success
+          ? `Added to ${playlist.name}`
+          : 'Add to Playlist';
+      });
+      menu.appendChild(item);
+    });
+  }
+
+  /**
+   * Show or hide the chooser listing the top scored Spotify candidates
+   * @param {HTMLElement} container - The player container to attach the chooser to
+   */
+  async toggleAlbumChooser(container) {
+    const existing = container.querySelector('.discotify-chooser');
+    if (existing) {
+      existing.remove();
+      return;
+    }
+
+    const chooser = document.createElement('div');
+    chooser.className = 'discotify-chooser';
+
+    const status = document.createElement('p');
+    status.className = 'discotify-chooser-status';
+    status.textContent = 'Loading candidates...';
+    chooser.appendChild(status);
+
+    container.querySelector('.discotify-header').after(chooser);
+
+    const candidates = await this.sendMessage({
+      type: 'GET_CANDIDATES',
+      payload: this.metadata
+    });
+
+    if (!candidates || candidates.length === 0) {
+      status.textContent = 'No other candidates found';
+      return;
+    }
+
+    status.remove();
+    candidates.forEach((candidate) => {
+      chooser.appendChild(this.createCandidateItem(candidate, container));
+    });
+  }
+
+  createCandidateItem(candidate, container) {
+    const item = document.createElement('button');
+    item.type = 'button';
+    item.className = 'discotify-candidate';
+
+    const artwork = document.createElement('img');
+    artwork.className = 'discotify-candidate-artwork';
+    artwork.alt = '';
+    if (candidate.image) artwork.src = candidate.image;
+
+    const info = document.createElement('div');
+    info.className = 'discotify-candidate-info';
+
+    const name = document.createElement('div');
+    name.className = 'discotify-candidate-name';
+    name.textContent = candidate.name;
+
+    const details = document.createElement('div');
+    details.className = 'discotify-candidate-details';
+    details.textContent = [
+      candidate.artist,
+      candidate.year,
+      `${candidate.totalTracks} tracks`
+    ].filter(Boolean).join(' · ');
+
+    info.appendChild(name);
+    info.appendChild(details);
+
+    const score = document.createElement('div');
+    score.className = 'discotify-candidate-score';
+    score.textContent = candidate.score;
+    score.title = candidate.confidence ? `Match score (${candidate.confidence})` : 'Match score';
+
+    item.appendChild(artwork);
+    item.appendChild(info);
+    item.appendChild(score);
+
+    item.addEventListener('click', () => this.chooseAlbum(candidate, container));
+
+    return item;
+  }
+
+  /**
+   * Save the chosen album as this release's override and swap the player
+   */
+  async chooseAlbum(candidate, container) {
+    const response = await this.sendMessage({
+      type: 'SET_OVERRIDE',
+      payload: { metadata: this.metadata, result: candidate }
+    });
+
+    if (!response?.success) {
+      console.error('[Discotify] Could not save override:', response?.error);
+      return;
+    }
+
+    const newContainer = this.createPlayerContainer({ ...candidate, isOverride: true });
+    container.replaceWith(newContainer);
+    if (this.replacedEmbed?.replacement === container) {
+      this.replacedEmbed.replacement = newContainer;
+    }
+    this.recordHistory(candidate, newContainer);
+    console.log('[Discotify] Switched player to chosen album:', candidate.name);
+  }
+
+  createPlayer(originalEmbed, result) {
+    // Final check to prevent duplicates
+    if (document.querySelector('.discotify-player-container')) {
+      console.log('[Discotify] Player already exists, skipping replace');
+      return;
+    }
+
+    const container = this.createPlayerContainer(result);
+
+    // Replace the original embed
+    this.replaceOriginalEmbed(originalEmbed, container);
+    this.recordHistory(result, container);
+    console.log(`[Discotify] Successfully replaced Apple Music embed with ${result.providerName || 'Spotify'} player`);
+  }
+
+  showNoMatchMessage(originalEmbed, metadata) {
+    const container = document.createElement('div');
+    container.className = 'discotify-no-match';
+
     // Escape user-provided content to prevent XSS
     const safeArtist = this.escapeHtml(metadata.artist);
     const safeAlbum = this.escapeHtml(metadata.album);
@@ -489,10 +1432,8 @@ class Discotify {
 
     container.innerHTML = `
       <div class="discotify-no-match-content">
-        <svg viewBox="0 0 24 24" width="32" height="32" fill="#1DB954">
-          <path d="M12 0C5.4 0 0 5.4 0 12s5.4 12 12 12 12-5.4 12-12S18.66 0 12 0zm5.521 17.34c-.24.359-.66.48-1.021.24-2.82-1.74-6.36-2.101-10.561-1.141-.418.122-.779-.179-.899-.539-.12-.421.18-.78.54-.9 4.56-1.021 8.52-.6 11.64 1.32.42.18.479.659.301 1.02zm1.44-3.3c-.301.42-.841.6-1.262.3-3.239-1.98-8.159-2.58-11.939-1.38-.479.12-1.02-.12-1.14-.6-.12-.48.12-1.021.6-1.141C9.6 9.9 15 10.561 18.72 12.84c.361.181.54.78.241 1.2zm.12-3.36C15.24 8.4 8.82 8.16 5.16 9.301c-.6.179-1.2-.181-1.38-.721-.18-.601.18-1.2.72-1.381 4.26-1.26 11.28-1.02 15.721 1.621.539.3.719 1.02.419 1.56-.299.421-1.02.599-1.559.3z"/>
-        </svg>
-        <p>No Spotify match found for:</p>
+        ${this.spotifyLogo(32)}
+        <p>No match found for:</p>
         <p class="discotify-search-term">${safeArtist} - ${safeAlbum}</p>
         <a href="https://open.spotify.com/search/${searchQuery}"
            target="_blank"
@@ -500,14 +1441,1063 @@ class Discotify {
            class="discotify-search-link">
           Search on Spotify
         </a>
+        <a href="https://bandcamp.com/search?q=${searchQuery}&item_type=a"
+           target="_blank"
+           rel="noopener noreferrer"
+           class="discotify-search-link discotify-search-link-secondary">
+          Search on Bandcamp
+        </a>
+      </div>
+    `;
+
+    this.replaceOriginalEmbed(originalEmbed, container);
+  }
+
+  // ===========================================================================
+  // Track Fallback Player
+  // ===========================================================================
+
+  /**
+   * Build a player from individually matched tracks when no album matched
+   * @returns {Promise<HTMLElement|null>} The player, or null if no track was found
+   */
+  async createTrackFallbackPlayer(metadata) {
+    if (!metadata.tracks?.length) return null;
+
+    const match = await this.sendMessage({ type: 'MATCH_TRACKLIST', payload: metadata });
+    if (!match || match.found === 0) return null;
+
+    const found = match.tracks.filter((track) => track.result);
+
+    const container = document.createElement('div');
+    container.className = 'discotify-player-container discotify-fallback';
+
+    const header = document.createElement('div');
+    header.className = 'discotify-header';
+    header.innerHTML = `
+      ${this.spotifyLogo()}
+      <span>Tracks on Spotify</span>
+    `;
+
+    const coverage = document.createElement('span');
+    coverage.className = 'discotify-coverage';
+    coverage.textContent = `${match.found} of ${match.total} tracks found`;
+    header.appendChild(coverage);
+
+    const iframe = document.createElement('iframe');
+    iframe.width = '100%';
+    iframe.height = '152';
+    iframe.frameBorder = '0';
+    iframe.allow = 'autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture';
+    iframe.className = 'discotify-spotify-embed';
+
+    const list = document.createElement('ol');
+    list.className = 'discotify-fallback-list';
+
+    const playTrack = (item, result) => {
+      iframe.src = `https://open.spotify.com/embed/track/${result.id}?utm_source=generator&theme=0`;
+      list.querySelectorAll('.playing').forEach((el) => el.classList.remove('playing'));
+      item.classList.add('playing');
+    };
+
+    match.tracks.forEach((track) => {
+      const item = document.createElement('li');
+      item.className = track.result ? 'found' : 'missing';
+
+      const position = document.createElement('span');
+      position.className = 'discotify-fallback-position';
+      position.textContent = track.position;
+
+      const title = document.createElement('span');
+      title.className = 'discotify-fallback-title';
+      title.textContent = track.title;
+      title.title = track.result ? `${track.result.name} by ${track.result.artist}` : 'Not found on Spotify';
+
+      item.appendChild(position);
+      item.appendChild(title);
+
+      if (track.result) {
+        item.addEventListener('click', () => playTrack(item, track.result));
+      }
+
+      list.appendChild(item);
+    });
+
+    container.appendChild(header);
+    container.appendChild(iframe);
+    container.appendChild(list);
+    container.appendChild(this.createSavePlaylistBar(metadata, found));
+
+    playTrack(list.querySelector('li.found'), found[0].result);
+
+    return container;
+  }
+
+  /**
+   * "Save as private playlist" action, shown once we know the user is logged in
+   */
+  createSavePlaylistBar(metadata, foundTracks) {
+    const bar = document.createElement('div');
+    bar.className = 'discotify-actions';
+    bar.hidden = true;
+
+    const saveBtn = this.createActionButton('Save as private playlist');
+    saveBtn.addEventListener('click', async () => {
+      saveBtn.disabled = true;
+      saveBtn.textContent = 'Saving...';
+
+      const response = await this.sendMessage({
+        type: 'SAVE_TRACKS_PLAYLIST',
+        payload: {
+          name: `${metadata.artist} - ${metadata.album}`,
+          uris: foundTracks.map((track) => track.result.uri)
+        }
+      });
+
+      if (response?.success) {
+        const link = document.createElement('a');
+        link.className = 'discotify-action-btn done';
+        link.href = response.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = 'Open playlist';
+        saveBtn.replaceWith(link);
+      } else {
+        saveBtn.disabled = false;
+        saveBtn.textContent = 'Save as private playlist';
+      }
+    });
+    bar.appendChild(saveBtn);
+
+    this.sendMessage({ type: 'GET_AUTH_STATUS' }).then((status) => {
+      bar.hidden = status?.mode !== 'user';
+    });
+
+    return bar;
+  }
+
+  // ===========================================================================
+  // Per-track Buttons
+  // ===========================================================================
+
+  /**
+   * Add a play button to every tracklist row and resolve each track on Spotify.
+   * Tracks are resolved one at a time to keep the API load of a page low.
+   */
+  async addTrackButtons(metadata) {
+    if (!this.isEnabled) return;
+
+    const rows = this.getTracklistRows();
+
+    const buttons = rows.map((track) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'discotify-track-btn pending';
+      button.title = 'Looking up on Spotify...';
+      button.innerHTML = '<svg viewBox="0 0 24 24" width="12" height="12" fill="currentColor"><path d="M8 5v14l11-7z"/></svg>';
+      track.titleEl.before(button);
+      return button;
+    });
+
+    for (const [index, track] of rows.entries()) {
+      // Stop if the user navigated away while we were resolving
+      if (!buttons[index].isConnected) return;
+
+      const result = await this.sendMessage({
+        type: 'SEARCH_TRACK',
+        payload: {
+          discogsType: metadata.discogsType,
+          discogsId: metadata.discogsId,
+          position: track.position,
+          artist: track.artist || metadata.artist,
+          title: track.title,
+          duration: track.duration
+        }
+      });
+
+      this.updateTrackButton(buttons[index], track, result);
+    }
+  }
+
+  updateTrackButton(button, track, result) {
+    button.classList.remove('pending');
+
+    if (!result?.uri) {
+      button.classList.add('unmatched');
+      button.disabled = true;
+      button.title = 'Not found on Spotify';
+      return;
+    }
+
+    button.title = `Play "${result.name}" by ${result.artist} (Ctrl/Cmd-click to open in Spotify)`;
+    button.addEventListener('click', (event) => {
+      if (event.ctrlKey || event.metaKey) {
+        window.open(result.url, '_blank', 'noopener,noreferrer');
+        return;
+      }
+      this.toggleTrackEmbed(button, track, result);
+    });
+  }
+
+  /**
+   * Show or hide a compact track player below the track title
+   */
+  toggleTrackEmbed(button, track, result) {
+    const existing = track.titleEl.parentElement.querySelector('.discotify-track-embed');
+    if (existing) {
+      existing.remove();
+      button.classList.remove('active');
+      return;
+    }
+
+    const iframe = document.createElement('iframe');
+    iframe.src = `https://open.spotify.com/embed/track/${result.id}?utm_source=generator&theme=0`;
+    iframe.width = '100%';
+    iframe.height = '80';
+    iframe.frameBorder = '0';
+    iframe.allow = 'autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture';
+    iframe.loading = 'lazy';
+    iframe.className = 'discotify-track-embed';
+
+    track.titleEl.parentElement.appendChild(iframe);
+    button.classList.add('active');
+  }
+
+  // ===========================================================================
+  // Artist Pages
+  // ===========================================================================
+
+  /**
+   * Parse the Discogs artist ID from an /artist/ URL
+   * @returns {string|null}
+   */
+  parseArtistId() {
+    const match = window.location.pathname.match(/^(?:\/[a-z]{2}(?:_[A-Z]{2})?)?\/artist\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  async addArtistPanel(discogsId) {
+    // The heading keeps Discogs' "(2)" suffix; the background strips it for searching
+    const name = document.querySelector('h1')?.textContent.trim();
+    if (!name) {
+      console.log('[Discotify] Could not find the artist name on the page');
+      return;
+    }
+
+    const artist = await this.sendMessage({ type: 'RESOLVE_ARTIST', payload: { discogsId, name } });
+    if (!artist) {
+      console.log('[Discotify] No Spotify artist found for', name);
+      return;
+    }
+
+    const panel = document.createElement('div');
+    panel.className = 'discotify-player-container discotify-artist-panel';
+
+    const header = document.createElement('div');
+    header.className = 'discotify-header';
+    header.innerHTML = `
+      ${this.spotifyLogo()}
+    `;
+    const title = document.createElement('span');
+    title.textContent = `${artist.name} on Spotify`;
+    header.appendChild(title);
+
+    const iframe = document.createElement('iframe');
+    iframe.src = artist.embedUrl;
+    iframe.width = '100%';
+    iframe.height = String(artist.embedHeight || 352);
+    iframe.frameBorder = '0';
+    iframe.allow = 'autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture';
+    iframe.loading = 'lazy';
+    iframe.className = 'discotify-spotify-embed';
+
+    // Matching the discography costs a Discogs request, so it waits until opened
+    const discography = document.createElement('details');
+    discography.className = 'discotify-discography';
+    const summary = document.createElement('summary');
+    summary.textContent = 'Discography on Spotify';
+    const list = document.createElement('ul');
+    list.className = 'discotify-fallback-list';
+    discography.appendChild(summary);
+    discography.appendChild(list);
+    discography.addEventListener('toggle', () => {
+      if (discography.open && !discography.dataset.loaded) {
+        discography.dataset.loaded = 'true';
+        this.loadDiscography(discogsId, artist, iframe, summary, list);
+      }
+    });
+
+    panel.appendChild(header);
+    panel.appendChild(iframe);
+    panel.appendChild(discography);
+
+    const location = this.findInsertLocation() ||
+      { element: this.findExportPanelLocation(), position: 'prepend' };
+    this.insertContainer(location, panel);
+  }
+
+  /**
+   * Fill the discography list; matched albums play in the artist panel's player
+   */
+  async loadDiscography(discogsId, artist, iframe, summary, list) {
+    summary.textContent = 'Discography on Spotify (matching...)';
+
+    const releases = await this.sendMessage({
+      type: 'MATCH_DISCOGRAPHY',
+      payload: { discogsId, spotifyArtistId: artist.id }
+    }) || [];
+
+    const found = releases.filter((release) => release.album).length;
+    summary.textContent = `Discography on Spotify (${found} of ${releases.length})`;
+
+    releases.forEach((release) => {
+      const item = document.createElement('li');
+      item.className = release.album ? 'found' : 'missing';
+
+      const year = document.createElement('span');
+      year.className = 'discotify-fallback-position';
+      year.textContent = release.year || '';
+
+      const link = document.createElement('a');
+      link.className = 'discotify-fallback-title';
+      link.href = release.discogsUrl;
+      link.textContent = release.title;
+      link.title = release.album
+        ? `Play "${release.album.name}" on Spotify`
+        : 'Not found on Spotify';
+
+      if (release.album) {
+        // Play in the panel instead of navigating; the link still opens Discogs in a new tab
+        item.addEventListener('click', (event) => {
+          if (event.ctrlKey || event.metaKey) return;
+          event.preventDefault();
+          iframe.src = release.album.embedUrl;
+          list.querySelectorAll('li.playing').forEach((el) => el.classList.remove('playing'));
+          item.classList.add('playing');
+        });
+      }
+
+      item.appendChild(year);
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    if (releases.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'Could not load the discography';
+      list.appendChild(empty);
+    }
+  }
+
+  // ===========================================================================
+  // Label Pages
+  // ===========================================================================
+
+  /**
+   * Parse the Discogs label ID from a /label/ URL
+   * @returns {string|null}
+   */
+  parseLabelId() {
+    const match = window.location.pathname.match(/^(?:\/[a-z]{2}(?:_[A-Z]{2})?)?\/label\/(\d+)/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Resolve the releases listed on a label page one by one, badge each row
+   * and queue the matches in a mini-player
+   */
+  async addLabelPanel() {
+    const releases = this.scrapePageReleases();
+    if (releases.length === 0) {
+      console.log('[Discotify] No releases found on this label page');
+      return;
+    }
+
+    const labelName = document.querySelector('h1')?.textContent.trim() || 'Discogs label';
+    const queue = [];
+    let current = -1;
+
+    const panel = document.createElement('div');
+    panel.className = 'discotify-player-container discotify-label-panel';
+    panel.innerHTML = `
+      <div class="discotify-header">
+        ${this.spotifyLogo()}
+        <span>Label catalog</span>
+        <span class="discotify-coverage"></span>
+      </div>
+      <div class="discotify-queue-controls">
+        <button type="button" class="discotify-action-btn discotify-queue-prev" title="Previous release">◀</button>
+        <span class="discotify-queue-now">Looking for matches...</span>
+        <button type="button" class="discotify-action-btn discotify-queue-next" title="Next release">▶</button>
+      </div>
+      <div class="discotify-export-body">
+        <input type="text" class="discotify-export-name" value="${this.escapeHtml(labelName)}">
+        <button type="button" class="discotify-action-btn discotify-export-start" disabled>Export matches to playlist</button>
+        <div class="discotify-export-progress" hidden>
+          <progress max="1" value="0"></progress>
+          <span class="discotify-export-status"></span>
+        </div>
+        <div class="discotify-export-report" hidden></div>
+      </div>
+    `;
+
+    const coverage = panel.querySelector('.discotify-coverage');
+    const nowPlaying = panel.querySelector('.discotify-queue-now');
+    const prevBtn = panel.querySelector('.discotify-queue-prev');
+    const nextBtn = panel.querySelector('.discotify-queue-next');
+    const exportBtn = panel.querySelector('.discotify-export-start');
+    const nameInput = panel.querySelector('.discotify-export-name');
+
+    const iframe = document.createElement('iframe');
+    iframe.width = '100%';
+    iframe.frameBorder = '0';
+    iframe.allow = 'autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture';
+    iframe.className = 'discotify-spotify-embed';
+    iframe.hidden = true;
+    panel.querySelector('.discotify-queue-controls').after(iframe);
+
+    const updateControls = () => {
+      const entry = queue[current];
+      if (!entry) return;
+
+      nowPlaying.textContent = `${current + 1}/${queue.length} · ${entry.release.artist} - ${entry.release.album}`;
+      prevBtn.disabled = current === 0;
+      nextBtn.disabled = current === queue.length - 1;
+    };
+
+    const play = (index) => {
+      const entry = queue[index];
+      if (!entry) return;
+
+      current = index;
+      iframe.src = entry.result.embedUrl;
+      iframe.height = String(entry.result.embedHeight || 352);
+      iframe.hidden = false;
+      updateControls();
+
+      queue.forEach(({ badge }) => badge.classList.remove('playing'));
+      entry.badge.classList.add('playing');
+    };
+
+    prevBtn.disabled = true;
+    nextBtn.disabled = true;
+    prevBtn.addEventListener('click', () => play(current - 1));
+    nextBtn.addEventListener('click', () => play(current + 1));
+
+    exportBtn.addEventListener('click', () => {
+      this.startExport(panel, {
+        source: null,
+        items: queue.map((entry) => entry.release),
+        playlistId: null,
+        playlistName: nameInput.value.trim() || labelName
+      });
+    });
+
+    const location = this.findInsertLocation() ||
+      { element: this.findExportPanelLocation(), position: 'prepend' };
+    this.insertContainer(location, panel);
+
+    // One release at a time keeps us well inside the API rate limits
+    for (const [index, release] of releases.entries()) {
+      if (!this.isEnabled || !panel.isConnected) return;
+
+      coverage.textContent = `Matching ${index + 1} of ${releases.length}`;
+      const badge = this.addMatchBadge(release);
+      const result = await this.searchRelease(release);
+
+      if (!result?.uri) {
+        this.setMatchBadge(badge, null);
+        continue;
+      }
+
+      const position = queue.push({ release, result, badge }) - 1;
+      this.setMatchBadge(badge, result);
+      badge.addEventListener('click', (event) => {
+        event.preventDefault();
+        play(position);
+      });
+
+      if (current === -1) {
+        play(position);
+      } else {
+        updateControls();
+      }
+      exportBtn.disabled = false;
+    }
+
+    coverage.textContent = `${queue.length} of ${releases.length} found`;
+    if (queue.length === 0) {
+      nowPlaying.textContent = 'No releases from this page were found';
+    }
+  }
+
+  /**
+   * Put a pending match badge next to a release's link on the page
+   * @returns {HTMLElement} The badge
+   */
+  addMatchBadge(release) {
+    const badge = this.createMatchBadge();
+
+    // The titled link, not the artwork one
+    const link = [...document.querySelectorAll(`a[href*="/${release.discogsType}/${release.discogsId}"]`)]
+      .find((el) => el.textContent.trim());
+    link?.after(badge);
+    return badge;
+  }
+
+  createMatchBadge() {
+    const badge = document.createElement('button');
+    badge.type = 'button';
+    badge.className = 'discotify-match-badge pending';
+    badge.textContent = '…';
+    badge.title = 'Looking for a match...';
+    return badge;
+  }
+
+  setMatchBadge(badge, result) {
+    // Weak matches are shown, but set apart since they may be a different release
+    const weak = result?.confidence === 'weak' && !result.isOverride;
+    badge.classList.remove('pending');
+    badge.classList.add(result ? 'found' : 'missing');
+    badge.classList.toggle('weak', weak);
+    badge.textContent = result ? '♫' : '–';
+    if (!result) {
+      badge.title = 'No match found';
+    } else if (weak) {
+      badge.title = `Possible match on ${result.providerName}: ${result.name}, may not be the same release (click to play)`;
+    } else {
+      badge.title = `On ${result.providerName}: ${result.name} (click to play)`;
+    }
+  }
+
+  // ===========================================================================
+  // Listening History
+  // ===========================================================================
+
+  /**
+   * Log the match shown on this release page to the listening history, and
+   * mark it as listened to once the user interacts with the player
+   */
+  recordHistory(result, container) {
+    const metadata = this.metadata;
+    if (!metadata?.discogsId) return;
+
+    this.sendMessage({
+      type: 'RECORD_HISTORY',
+      payload: { metadata, result, url: window.location.href }
+    });
+
+    this.stopHistoryTracking();
+
+    const markInteracted = () => {
+      if (!this.historyBlurHandler) return;
+      this.stopHistoryTracking();
+      this.sendMessage({ type: 'MARK_HISTORY_INTERACTED', payload: { metadata } });
+    };
+
+    // Clicks inside the embedded player never reach the page, but they do
+    // move focus into its iframe
+    this.historyBlurHandler = () => {
+      setTimeout(() => {
+        if (container.contains(document.activeElement)) markInteracted();
+      }, 0);
+    };
+    window.addEventListener('blur', this.historyBlurHandler);
+    container.addEventListener('click', markInteracted);
+  }
+
+  stopHistoryTracking() {
+    if (this.historyBlurHandler) {
+      window.removeEventListener('blur', this.historyBlurHandler);
+      this.historyBlurHandler = null;
+    }
+  }
+
+  // ===========================================================================
+  // Marketplace
+  // ===========================================================================
+
+  /**
+   * Marketplace item (/sell/item/) and release listing (/sell/release/) pages
+   */
+  isMarketplaceReleasePage() {
+    return /\/sell\/(item|release)\/\d+/.test(window.location.pathname);
+  }
+
+  /**
+   * Page metadata, with the Discogs release taken from the URL or the
+   * listing's release link since marketplace URLs carry listing IDs
+   */
+  extractMarketplaceMetadata() {
+    const metadata = this.extractDiscogsMetadata();
+
+    const releasePage = window.location.pathname.match(/\/sell\/release\/(\d+)/);
+    if (releasePage) {
+      metadata.discogsType = 'release';
+      metadata.discogsId = releasePage[1];
+    } else {
+      const releaseLink = [...document.querySelectorAll('a[href*="/release/"]')]
+        .find((link) => this.parseDiscogsPath(new URL(link.href).pathname).discogsId);
+      if (releaseLink) {
+        Object.assign(metadata, this.parseDiscogsPath(new URL(releaseLink.href).pathname));
+      }
+    }
+
+    // Listing titles end in the format, e.g. "(LP, Album)"
+    if (metadata.album) {
+      metadata.album = metadata.album.replace(/\s*\([^)]*\)\s*$/, '');
+    }
+
+    return metadata;
+  }
+
+  // ===========================================================================
+  // Result Badges (search, list and inventory pages)
+  // ===========================================================================
+
+  isResultsPage() {
+    const path = window.location.pathname;
+    return /\/search\b/.test(path) ||
+           /\/sell\/mywants/.test(path) ||
+           /\/lists\//.test(path) ||
+           /\/user\/[^/]+\/(collection|wantlist)/.test(path) ||
+           /\/(my)?wantlist/.test(path);
+  }
+
+  /**
+   * Marketplace listings and seller inventories
+   */
+  isInventoryPage() {
+    const path = window.location.pathname;
+    return /\/sell\/(list|mplist)/.test(path) || /\/seller\/[^/]+\/profile/.test(path);
+  }
+
+  /**
+   * Whether a mutation added page content rather than our own badges/popover
+   */
+  hasForeignNodes(mutation) {
+    return [...mutation.addedNodes].some((node) =>
+      node.nodeType === Node.ELEMENT_NODE &&
+      !node.classList.contains('discotify-match-badge') &&
+      !node.closest('.discotify-popover')
+    );
+  }
+
+  scheduleBadgeScan() {
+    clearTimeout(this.badgeScanTimer);
+    this.badgeScanTimer = setTimeout(() => this.scanResultBadges(), 500);
+  }
+
+  stopResultBadges() {
+    this.badgesActive = false;
+    this.badgeScanGeneration++;
+    this.badgeScanRunning = false;
+    clearTimeout(this.badgeScanTimer);
+    this.badgeScanTimer = null;
+    this.closeBadgePopover();
+  }
+
+  /**
+   * Badge every release on the page that has none yet, matching them in
+   * batches. Rows added while a scan runs are picked up by its next round.
+   */
+  async scanResultBadges() {
+    if (this.badgeScanRunning) return;
+    this.badgeScanRunning = true;
+    const generation = this.badgeScanGeneration;
+    const isCurrent = () => this.badgesActive && generation === this.badgeScanGeneration;
+
+    try {
+      let items = this.collectBadgeItems();
+      while (isCurrent() && items.length) {
+        for (let i = 0; i < items.length; i += BADGE_BATCH_SIZE) {
+          const batch = items.slice(i, i + BADGE_BATCH_SIZE);
+          const results = await this.sendMessage({
+            type: 'MATCH_RELEASES',
+            payload: batch.map((item) => item.release)
+          }) || [];
+
+          if (!isCurrent()) return;
+
+          batch.forEach(({ badge }, index) => {
+            const result = results[index]?.uri ? results[index] : null;
+            this.setMatchBadge(badge, result);
+            if (result) {
+              badge.addEventListener('click', (event) => {
+                event.preventDefault();
+                event.stopPropagation();
+                this.showBadgePopover(badge, result);
+              });
+            }
+          });
+        }
+        items = this.collectBadgeItems();
+      }
+    } finally {
+      // A newer scan may already be running
+      if (generation === this.badgeScanGeneration) {
+        this.badgeScanRunning = false;
+      }
+    }
+  }
+
+  /**
+   * Find release links without a badge and give each a pending one
+   * @returns {Array<{release: Object, badge: HTMLElement}>}
+   */
+  collectBadgeItems() {
+    const items = [];
+    const seen = new Set();
+
+    // Listings first, so their rows' "view release" links are already taken
+    const links = [
+      ...document.querySelectorAll('a[href*="/sell/item/"]'),
+      ...document.querySelectorAll('a[href*="/release/"], a[href*="/master/"]')
+    ];
+
+    links.forEach((link) => {
+      if (link.dataset.discotifyBadged) return;
+      if (link.closest('.discotify-player-container, .discotify-export-panel, .discotify-popover')) return;
+
+      const release = link.href.includes('/sell/item/')
+        ? this.parseListingLink(link)
+        : this.parseReleaseLink(link);
+      if (!release) return;
+
+      // One badge per release, even when a row links it twice
+      link.dataset.discotifyBadged = 'true';
+      const key = `${release.discogsType}:${release.discogsId}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+
+      const badge = this.createMatchBadge();
+      link.after(badge);
+      items.push({ release, badge });
+    });
+
+    return items;
+  }
+
+  /**
+   * Show a small player for a badge's match next to it
+   */
+  showBadgePopover(badge, result) {
+    this.closeBadgePopover();
+
+    const popover = document.createElement('div');
+    popover.className = 'discotify-popover';
+
+    const header = document.createElement('div');
+    header.className = 'discotify-header';
+    const title = document.createElement('span');
+    title.textContent = `${result.artist} - ${result.name}`;
+    const closeBtn = document.createElement('button');
+    closeBtn.type = 'button';
+    closeBtn.className = 'discotify-change-btn';
+    closeBtn.textContent = 'Close';
+    closeBtn.addEventListener('click', () => this.closeBadgePopover());
+    header.appendChild(title);
+    header.appendChild(closeBtn);
+
+    const iframe = document.createElement('iframe');
+    iframe.src = result.embedUrl;
+    iframe.width = '100%';
+    iframe.height = String(result.embedHeight || 352);
+    iframe.frameBorder = '0';
+    iframe.allow = 'autoplay; clipboard-write; encrypted-media; fullscreen; picture-in-picture';
+    iframe.className = 'discotify-spotify-embed';
+
+    popover.appendChild(header);
+    popover.appendChild(iframe);
+
+    // Below the badge, kept inside the viewport horizontally
+    const rect = badge.getBoundingClientRect();
+    const width = 340;
+    const left = Math.max(8, Math.min(rect.left, document.documentElement.clientWidth - width - 8));
+    popover.style.top = `${rect.bottom + window.scrollY + 6}px`;
+    popover.style.left = `${left + window.scrollX}px`;
+    popover.style.width = `${width}px`;
+    document.body.appendChild(popover);
+
+    this.closePopoverHandler = (event) => {
+      const isEscape = event.type === 'keydown' && event.key === 'Escape';
+      const isOutside = event.type === 'mousedown' && !popover.contains(event.target) && event.target !== badge;
+      if (isEscape || isOutside) this.closeBadgePopover();
+    };
+    document.addEventListener('mousedown', this.closePopoverHandler);
+    document.addEventListener('keydown', this.closePopoverHandler);
+  }
+
+  closeBadgePopover() {
+    document.querySelector('.discotify-popover')?.remove();
+    if (this.closePopoverHandler) {
+      document.removeEventListener('mousedown', this.closePopoverHandler);
+      document.removeEventListener('keydown', this.closePopoverHandler);
+      this.closePopoverHandler = null;
+    }
+  }
+
+  // ===========================================================================
+  // Playlist Export (collection, wantlist and list pages)
+  // ===========================================================================
+
+  /**
+   * Detect a Discogs collection, wantlist or list page
+   * @returns {Object|null} Source descriptor understood by the background export
+   */
+  parseExportSource() {
+    const path = window.location.pathname;
+    const params = new URLSearchParams(window.location.search);
+
+    const userPage = path.match(/\/user\/([^/]+)\/(collection|wantlist)/);
+    if (userPage) {
+      return {
+        type: userPage[2],
+        username: decodeURIComponent(userPage[1]),
+        folderId: params.get('folder_id') || params.get('folder') || '0'
+      };
+    }
+
+    if (/\/(my)?wantlist/.test(path) && params.get('user')) {
+      return { type: 'wantlist', username: params.get('user') };
+    }
+
+    const listPage = path.match(/\/lists\/[^/]+\/(\d+)/);
+    if (listPage) {
+      return { type: 'list', listId: listPage[1] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect the releases linked from the current page with their artist
+   */
+  scrapePageReleases() {
+    const releases = new Map();
+
+    document.querySelectorAll('a[href*="/release/"], a[href*="/master/"]').forEach((link) => {
+      const release = this.parseReleaseLink(link);
+      if (!release) return;
+
+      const key = `${release.discogsType}:${release.discogsId}`;
+      if (!releases.has(key)) releases.set(key, release);
+    });
+
+    return [...releases.values()];
+  }
+
+  /**
+   * Read a release link and the artist from its row or card
+   * @returns {Object|null} { discogsType, discogsId, artist, album }, or null
+   *   for non-release links and artwork links without a title
+   */
+  parseReleaseLink(link) {
+    const { discogsType, discogsId } = this.parseDiscogsPath(new URL(link.href).pathname);
+    const text = link.textContent.trim();
+    if (!discogsId || !text) return null;
+
+    const row = link.closest('tr, li, [class*="row"], [class*="card"], [class*="item"]');
+    const artistLink = row?.querySelector('a[href*="/artist/"]');
+    if (artistLink) {
+      return { discogsType, discogsId, artist: artistLink.textContent.trim(), album: text };
+    }
+
+    // Marketplace listings only have "Artist - Title (Format)" in the link
+    const [artist, ...title] = text.replace(/\s*\([^)]*\)\s*$/, '').split(' - ');
+    if (title.length === 0) return null;
+
+    return { discogsType, discogsId, artist: artist.trim(), album: title.join(' - ').trim() };
+  }
+
+  /**
+   * Read a marketplace listing link ("Artist - Title (Format)") together with
+   * the release its row links to
+   * @returns {Object|null} { discogsType, discogsId, artist, album }, or null
+   */
+  parseListingLink(link) {
+    const row = link.closest('tr, li, [class*="row"], [class*="card"], [class*="item"]');
+    const releaseLink = row?.querySelector('a[href*="/release/"]');
+    if (!releaseLink) return null;
+
+    const { discogsType, discogsId } = this.parseDiscogsPath(new URL(releaseLink.href).pathname);
+    const [artist, ...title] = link.textContent.trim().replace(/\s*\([^)]*\)\s*$/, '').split(' - ');
+    if (!discogsId || title.length === 0) return null;
+
+    releaseLink.dataset.discotifyBadged = 'true';
+    return { discogsType, discogsId, artist: artist.trim(), album: title.join(' - ').trim() };
+  }
+
+  findExportPanelLocation() {
+    return document.querySelector('main') ||
+           document.querySelector('#page_content') ||
+           document.body;
+  }
+
+  addExportPanel(source) {
+    if (document.querySelector('.discotify-export-panel')) return;
+
+    const pageReleases = this.scrapePageReleases();
+    const sourceLabel = {
+      collection: 'whole folder',
+      wantlist: 'whole wantlist',
+      list: 'whole list'
+    }[source.type];
+    const defaultName = source.type === 'list'
+      ? document.querySelector('h1')?.textContent.trim() || 'Discogs list'
+      : `${source.username}'s Discogs ${source.type}`;
+
+    const panel = document.createElement('div');
+    panel.className = 'discotify-export-panel';
+    panel.innerHTML = `
+      <div class="discotify-header">
+        ${this.spotifyLogo()}
+        <span>Export to Spotify playlist</span>
+      </div>
+      <div class="discotify-export-body">
+        <select class="discotify-export-scope">
+          <option value="page">Releases on this page (${pageReleases.length})</option>
+          <option value="source">The ${sourceLabel}</option>
+        </select>
+        <select class="discotify-export-playlist">
+          <option value="">New playlist</option>
+        </select>
+        <input type="text" class="discotify-export-name" value="${this.escapeHtml(defaultName)}">
+        <button type="button" class="discotify-action-btn discotify-export-start">Export</button>
+        <div class="discotify-export-progress" hidden>
+          <progress max="1" value="0"></progress>
+          <span class="discotify-export-status"></span>
+        </div>
+        <div class="discotify-export-report" hidden></div>
       </div>
     `;
 
-    originalEmbed.parentNode.replaceChild(container, originalEmbed);
+    const playlistSelect = panel.querySelector('.discotify-export-playlist');
+    const nameInput = panel.querySelector('.discotify-export-name');
+    playlistSelect.addEventListener('change', () => {
+      nameInput.hidden = !!playlistSelect.value;
+    });
+
+    panel.querySelector('.discotify-export-start').addEventListener('click', () => {
+      const useSource = panel.querySelector('.discotify-export-scope').value === 'source';
+      this.startExport(panel, {
+        source: useSource ? source : null,
+        items: useSource ? null : pageReleases,
+        playlistId: playlistSelect.value || null,
+        playlistName: nameInput.value.trim() || defaultName
+      });
+    });
+
+    this.findExportPanelLocation().prepend(panel);
+    this.loadExportPlaylists(playlistSelect);
+    console.log('[Discotify] Added playlist export panel for', source.type);
+  }
+
+  async loadExportPlaylists(select) {
+    const response = await this.sendMessage({ type: 'GET_PLAYLISTS' });
+    if (!response?.success) return;
+
+    response.playlists.forEach((playlist) => {
+      const option = document.createElement('option');
+      option.value = playlist.id;
+      option.textContent = `Update: ${playlist.name}`;
+      select.appendChild(option);
+    });
+  }
+
+  startExport(panel, options) {
+    const startBtn = panel.querySelector('.discotify-export-start');
+    const progressEl = panel.querySelector('.discotify-export-progress');
+    const progressBar = progressEl.querySelector('progress');
+    const statusEl = panel.querySelector('.discotify-export-status');
+    const reportEl = panel.querySelector('.discotify-export-report');
+
+    startBtn.disabled = true;
+    progressEl.hidden = false;
+    reportEl.hidden = true;
+    statusEl.textContent = 'Starting...';
+
+    const port = chrome.runtime.connect({ name: 'playlist-export' });
+
+    const finish = () => {
+      startBtn.disabled = false;
+      progressEl.hidden = true;
+    };
+
+    // The background ended without a result, e.g. the extension was reloaded
+    port.onDisconnect.addListener(() => {
+      finish();
+      reportEl.hidden = false;
+      reportEl.textContent = 'Export failed: the connection to the extension was lost. Please try again.';
+    });
+
+    port.onMessage.addListener((message) => {
+      if (message.type === 'EXPORT_PROGRESS') {
+        const { phase, done, total, current } = message.progress;
+        progressBar.max = total || 1;
+        progressBar.value = done;
+        statusEl.textContent = {
+          loading: `Loading releases from Discogs (page ${done + 1} of ${total})...`,
+          matching: `Matching ${done + 1} of ${total}: ${current}`,
+          waiting: `Discogs rate limit reached, continuing in ${current}s...`,
+          saving: 'Saving playlist...'
+        }[phase];
+        return;
+      }
+
+      finish();
+      // Disconnecting here doesn't fire our own onDisconnect
+      port.disconnect();
+
+      if (message.type === 'EXPORT_DONE') {
+        this.renderExportReport(reportEl, message.report);
+      } else {
+        reportEl.hidden = false;
+        reportEl.textContent = `Export failed: ${message.error}`;
+      }
+    });
+
+    port.postMessage({ type: 'START_EXPORT', payload: options });
+  }
+
+  renderExportReport(reportEl, report) {
+    reportEl.hidden = false;
+    reportEl.innerHTML = `
+      <p>
+        Added ${report.tracksAdded} tracks from ${report.matched} of ${report.total} releases.
+        <a href="${this.escapeHtml(report.playlistUrl)}" target="_blank" rel="noopener noreferrer">Open playlist</a>
+      </p>
+    `;
+
+    if (report.unmatched.length === 0) return;
+
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = `${report.unmatched.length} releases could not be matched`;
+    details.appendChild(summary);
+
+    const list = document.createElement('ul');
+    report.unmatched.forEach((release) => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `https://www.discogs.com/${release.discogsType}/${release.discogsId}`;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = `${release.artist} - ${release.album}`;
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+    details.appendChild(list);
+    reportEl.appendChild(details);
   }
 
   observeDOM() {
     this.domObserver = new MutationObserver((mutations) => {
+      // Infinite scroll and filtering add result rows after the first badge scan
+      if (this.badgesActive && mutations.some((mutation) => this.hasForeignNodes(mutation))) {
+        this.scheduleBadgeScan();
+      }
+
       // Skip if already processed, currently processing, or player exists
       if (this.processed || this.processing) return;
       if (document.querySelector('.discotify-player-container')) return;
@@ -527,7 +2517,7 @@ class Discotify {
               }
 
               // Also check our selectors
-              const hasEmbed = this.appleMusicSelectors.some((selector) => {
+              const hasEmbed = this.getAppleMusicSelectors().some((selector) => {
                 try {
                   return node.matches?.(selector) || node.querySelector?.(selector);
                 } catch {
@@ -0,0 +1,166 @@
+/**
+ * Discotify Options Page
+ * Search and page settings that don't fit the popup, plus settings export/import
+ */
+
+'use strict';
+
+import { DEFAULT_SETTINGS, validateSettings } from '../shared/settings.js';
+
+document.addEventListener('DOMContentLoaded', () => {
+  // Elements
+  const form = document.getElementById('settings-form');
+  const marketInput = document.getElementById('market');
+  const searchLimitInput = document.getElementById('search-limit');
+  const minScoreInput = document.getElementById('min-score');
+  const matchStrictnessSelect = document.getElementById('match-strictness');
+  const displayModeSelect = document.getElementById('display-mode');
+  const insertPositionSelect = document.getElementById('insert-position');
+  const resultBadgesCheckbox = document.getElementById('result-badges');
+  const processDelayInput = document.getElementById('process-delay');
+  const selectorsInput = document.getElementById('apple-music-selectors');
+  const settingsStatus = document.getElementById('settings-status');
+  const includeSecretsCheckbox = document.getElementById('include-secrets');
+  const exportBtn = document.getElementById('export-btn');
+  const importBtn = document.getElementById('import-btn');
+  const importFileInput = document.getElementById('import-file');
+  const backupStatus = document.getElementById('backup-status');
+
+  // Initialize
+  loadSettings();
+  form.addEventListener('submit', saveSettings);
+  exportBtn.addEventListener('click', exportSettings);
+  importBtn.addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', importSettings);
+
+  async function loadSettings() {
+    const settings = await chrome.storage.sync.get(DEFAULT_SETTINGS);
+
+    marketInput.value = settings.market;
+    searchLimitInput.value = settings.searchLimit;
+    minScoreInput.value = settings.minScore;
+    matchStrictnessSelect.value = settings.matchStrictness;
+    displayModeSelect.value = settings.displayMode;
+    insertPositionSelect.value = settings.insertPosition;
+    resultBadgesCheckbox.checked = settings.resultBadges !== false;
+    processDelayInput.value = settings.processDelay;
+    selectorsInput.value = settings.appleMusicSelectors.join('\n');
+  }
+
+  /**
+   * Read and check the form, with the rules settings imports use too
+   * @returns {{settings?: Object, error?: string}}
+   */
+  function readForm() {
+    return validateSettings({
+      market: marketInput.value,
+      searchLimit: Number(searchLimitInput.value),
+      minScore: Number(minScoreInput.value),
+      matchStrictness: matchStrictnessSelect.value,
+      displayMode: displayModeSelect.value,
+      insertPosition: insertPositionSelect.value,
+      resultBadges: resultBadgesCheckbox.checked,
+      processDelay: Number(processDelayInput.value),
+      appleMusicSelectors: selectorsInput.value.split('\n')
+    }, { isValidSelector });
+  }
+
+  function isValidSelector(selector) {
+    try {
+      document.querySelector(selector);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async function saveSettings(event) {
+    event.preventDefault();
+
+    const { settings, error } = readForm();
+    if (error) {
+      showStatus(settingsStatus, 'error', error);
+      return;
+    }
+
+    // An empty market means auto-detect, which the background reads as "not set"
+    const { market, ...rest } = settings;
+    await chrome.storage.sync.set(rest);
+    if (market) {
+      await chrome.storage.sync.set({ market });
+    } else {
+      await chrome.storage.sync.remove('market');
+    }
+
+    marketInput.value = market;
+    showStatus(settingsStatus, 'success', 'Saved');
+    notifyDiscogsTabs({ type: 'SETTINGS_CHANGED' });
+  }
+
+  function exportSettings() {
+    const payload = { includeSecrets: includeSecretsCheckbox.checked };
+
+    chrome.runtime.sendMessage({ type: 'EXPORT_SETTINGS', payload }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        showStatus(backupStatus, 'error', response?.error || 'Export failed');
+        return;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      const content = JSON.stringify(response.data, null, 2);
+      const url = URL.createObjectURL(new Blob([content], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `discotify-settings-${date}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+      showStatus(backupStatus, 'success', payload.includeSecrets ? 'Exported with credentials' : 'Exported');
+    });
+  }
+
+  async function importSettings() {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      showStatus(backupStatus, 'error', 'Not a valid JSON file');
+      return;
+    }
+
+    chrome.runtime.sendMessage({ type: 'IMPORT_SETTINGS', payload: data }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        showStatus(backupStatus, 'error', response?.error || 'Import failed');
+        return;
+      }
+
+      const { overrides, cache, history, credentials } = response.summary;
+      const parts = [`${overrides} overrides`, `${cache} cached matches`, `${history} history entries`];
+      if (credentials) parts.push('credentials');
+      showStatus(backupStatus, 'success', `Imported settings, ${parts.join(', ')}`);
+
+      loadSettings();
+      // The import may have turned the extension on or off
+      chrome.storage.sync.get({ enabled: true }, ({ enabled }) => {
+        notifyDiscogsTabs({ type: 'SETTINGS_CHANGED', enabled });
+      });
+    });
+  }
+
+  function showStatus(element, type, message) {
+    element.className = `options-status ${type}`;
+    element.textContent = message;
+  }
+
+  function notifyDiscogsTabs(message) {
+    chrome.tabs.query({ url: ['*://www.discogs.com/*', '*://discogs.com/*', '*://*.discogs.com/*'] }, (tabs) => {
+      tabs.forEach((tab) => {
+        chrome.tabs.sendMessage(tab.id, message).catch(() => {});
+      });
+    });
+  }
+});
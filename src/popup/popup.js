@@ -12,14 +12,46 @@ document.addEventListener('DOMContentLoaded', () => {
   const statusText = document.getElementById('status-text');
   const clientIdInput = document.getElementById('client-id');
   const clientSecretInput = document.getElementById('client-secret');
+  const passphraseInput = document.getElementById('secret-passphrase');
+  const unlockRow = document.getElementById('unlock-row');
+  const unlockPassphraseInput = document.getElementById('unlock-passphrase');
+  const unlockBtn = document.getElementById('unlock-btn');
   const toggleSecretBtn = document.getElementById('toggle-secret');
   const saveCredentialsBtn = document.getElementById('save-credentials');
   const redirectUriEl = document.getElementById('redirect-uri');
   const copyRedirectUriBtn = document.getElementById('copy-redirect-uri');
+  const accountStatusEl = document.getElementById('account-status');
+  const loginBtn = document.getElementById('login-btn');
+  const marketInput = document.getElementById('market-input');
+  const marketHint = document.getElementById('market-hint');
+  const displayModeSelect = document.getElementById('display-mode');
+  const insertPositionSelect = document.getElementById('insert-position');
+  const resultBadgesCheckbox = document.getElementById('result-badges');
+  const matchStrictnessSelect = document.getElementById('match-strictness');
+  const openOptionsBtn = document.getElementById('open-options');
+  const cacheStatsEl = document.getElementById('cache-stats');
+  const clearCacheBtn = document.getElementById('clear-cache');
+  const providersSummary = document.getElementById('providers-summary');
+  const providerList = document.getElementById('provider-list');
+  const overridesSummary = document.getElementById('overrides-summary');
+  const overrideList = document.getElementById('override-list');
+  const historySummary = document.getElementById('history-summary');
+  const historySearchInput = document.getElementById('history-search');
+  const historyRangeSelect = document.getElementById('history-range');
+  const historyList = document.getElementById('history-list');
+  const exportHistoryCsvBtn = document.getElementById('export-history-csv');
+  const exportHistoryJsonBtn = document.getElementById('export-history-json');
+  const clearHistoryBtn = document.getElementById('clear-history');
 
   // Debounce timer
   let saveTimer = null;
 
+  // All providers in the user's order, as returned by GET_PROVIDERS
+  let providers = [];
+
+  // Listening history, newest first, as returned by GET_HISTORY
+  let history = [];
+
   // Initialize
   init();
 
@@ -28,6 +60,11 @@ document.addEventListener('DOMContentLoaded', () => {
     await loadCredentials();
     displayRedirectUri();
     checkAuthStatus();
+    loadMarketHint();
+    loadCacheStats();
+    loadProviders();
+    loadOverrides();
+    loadHistory();
     setupEventListeners();
   }
 
@@ -36,27 +73,60 @@ document.addEventListener('DOMContentLoaded', () => {
     toggleSecretBtn.addEventListener('click', toggleSecretVisibility);
     saveCredentialsBtn.addEventListener('click', saveAndConnect);
     copyRedirectUriBtn.addEventListener('click', copyRedirectUri);
+    clearCacheBtn.addEventListener('click', clearCache);
+    loginBtn.addEventListener('click', handleLoginClick);
+    marketInput.addEventListener('change', saveMarket);
+    displayModeSelect.addEventListener('change', saveDisplaySettings);
+    insertPositionSelect.addEventListener('change', saveDisplaySettings);
+    resultBadgesCheckbox.addEventListener('change', saveDisplaySettings);
+    matchStrictnessSelect.addEventListener('change', saveMatchStrictness);
+    openOptionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
+    historySearchInput.addEventListener('input', renderHistory);
+    historyRangeSelect.addEventListener('change', renderHistory);
+    exportHistoryCsvBtn.addEventListener('click', () => exportHistory('csv'));
+    exportHistoryJsonBtn.addEventListener('click', () => exportHistory('json'));
+    clearHistoryBtn.addEventListener('click', clearShownHistory);
 
+    // Only the Client ID is saved as you type; the secret is encrypted on Save & Connect
     clientIdInput.addEventListener('input', autoSaveCredentials);
-    clientSecretInput.addEventListener('input', autoSaveCredentials);
     clientIdInput.addEventListener('blur', saveCredentialsToStorage);
-    clientSecretInput.addEventListener('blur', saveCredentialsToStorage);
+    unlockBtn.addEventListener('click', unlockSecret);
+    unlockPassphraseInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') unlockSecret();
+    });
   }
 
   async function loadSettings() {
     return new Promise((resolve) => {
-      chrome.storage.sync.get(['enabled'], (result) => {
+      chrome.storage.sync.get(['enabled', 'market', 'displayMode', 'insertPosition', 'resultBadges', 'matchStrictness'], (result) => {
         enabledToggle.checked = result.enabled !== false;
+        marketInput.value = result.market || '';
+        displayModeSelect.value = result.displayMode || 'replace';
+        insertPositionSelect.value = result.insertPosition || 'auto';
+        resultBadgesCheckbox.checked = result.resultBadges !== false;
+        matchStrictnessSelect.value = result.matchStrictness || 'balanced';
         resolve();
       });
     });
   }
 
+  // Whether an encrypted Client Secret is saved; it is never sent back to the popup
+  let hasSavedSecret = false;
+
   async function loadCredentials() {
     return new Promise((resolve) => {
-      chrome.storage.local.get(['spotifyClientId', 'spotifyClientSecret'], (result) => {
-        if (result.spotifyClientId) clientIdInput.value = result.spotifyClientId;
-        if (result.spotifyClientSecret) clientSecretInput.value = result.spotifyClientSecret;
+      chrome.runtime.sendMessage({ type: 'GET_CREDENTIALS' }, (response) => {
+        if (chrome.runtime.lastError || !response) {
+          resolve();
+          return;
+        }
+        clientIdInput.value = response.clientId;
+        hasSavedSecret = response.hasSecret;
+        if (response.hasSecret) {
+          clientSecretInput.placeholder = response.passphrase
+            ? 'Saved, encrypted with your passphrase'
+            : 'Saved, encrypted';
+        }
         resolve();
       });
     });
@@ -68,10 +138,7 @@ document.addEventListener('DOMContentLoaded', () => {
   }
 
   async function saveCredentialsToStorage() {
-    await chrome.storage.local.set({
-      spotifyClientId: clientIdInput.value.trim(),
-      spotifyClientSecret: clientSecretInput.value.trim()
-    });
+    await chrome.storage.local.set({ spotifyClientId: clientIdInput.value.trim() });
   }
 
   function displayRedirectUri() {
@@ -98,6 +165,346 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
+  async function saveMarket() {
+    const market = marketInput.value.trim().toUpperCase();
+    const isValid = market === '' || /^[A-Z]{2}$/.test(market);
+
+    marketInput.classList.toggle('invalid', !isValid);
+    if (!isValid) return;
+
+    marketInput.value = market;
+    if (market) {
+      await chrome.storage.sync.set({ market });
+    } else {
+      await chrome.storage.sync.remove('market');
+    }
+    loadMarketHint();
+    notifyDiscogsTabs({ type: 'SETTINGS_CHANGED' });
+  }
+
+  async function saveDisplaySettings() {
+    await chrome.storage.sync.set({
+      displayMode: displayModeSelect.value,
+      insertPosition: insertPositionSelect.value,
+      resultBadges: resultBadgesCheckbox.checked
+    });
+    notifyDiscogsTabs({ type: 'SETTINGS_CHANGED' });
+  }
+
+  // Only affects new searches; cached matches are re-checked by the background
+  async function saveMatchStrictness() {
+    await chrome.storage.sync.set({ matchStrictness: matchStrictnessSelect.value });
+    notifyDiscogsTabs({ type: 'SETTINGS_CHANGED' });
+  }
+
+  function loadMarketHint() {
+    chrome.runtime.sendMessage({ type: 'GET_MARKET' }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        marketHint.textContent = '';
+        return;
+      }
+      const sources = {
+        setting: 'set manually',
+        profile: 'from your Spotify account',
+        locale: 'from browser language',
+        default: 'default'
+      };
+      marketHint.textContent = `Using ${response.market} (${sources[response.source]})`;
+    });
+  }
+
+  function loadCacheStats() {
+    chrome.runtime.sendMessage({ type: 'GET_CACHE_STATS' }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        cacheStatsEl.textContent = 'Unavailable';
+        return;
+      }
+      cacheStatsEl.textContent = `${response.matches} matches, ${response.noMatches} misses`;
+    });
+  }
+
+  function clearCache() {
+    clearCacheBtn.disabled = true;
+    chrome.runtime.sendMessage({ type: 'CLEAR_CACHE' }, () => {
+      clearCacheBtn.disabled = false;
+      loadCacheStats();
+    });
+  }
+
+  function loadProviders() {
+    chrome.runtime.sendMessage({ type: 'GET_PROVIDERS' }, (response) => {
+      if (chrome.runtime.lastError || !response) return;
+      providers = response;
+      renderProviders();
+    });
+  }
+
+  function renderProviders() {
+    const enabled = providers.filter((provider) => provider.enabled);
+    providersSummary.textContent = `Providers: ${enabled.map((provider) => provider.name).join(' → ')}`;
+    providerList.replaceChildren();
+
+    providers.forEach((provider, index) => {
+      const item = document.createElement('li');
+      item.className = 'provider-item';
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = provider.enabled;
+      // At least one provider has to stay on
+      checkbox.disabled = provider.enabled && enabled.length === 1;
+      checkbox.addEventListener('change', () => {
+        provider.enabled = checkbox.checked;
+        saveProviders();
+      });
+
+      const name = document.createElement('span');
+      name.textContent = provider.name;
+
+      label.appendChild(checkbox);
+      label.appendChild(name);
+
+      if (provider === enabled[0]) {
+        const role = document.createElement('span');
+        role.className = 'provider-role';
+        role.textContent = 'Primary';
+        label.appendChild(role);
+      }
+
+      const upBtn = document.createElement('button');
+      upBtn.className = 'copy-btn';
+      upBtn.title = 'Move up';
+      upBtn.textContent = '↑';
+      upBtn.disabled = index === 0;
+      upBtn.addEventListener('click', () => moveProvider(index, -1));
+
+      const downBtn = document.createElement('button');
+      downBtn.className = 'copy-btn';
+      downBtn.title = 'Move down';
+      downBtn.textContent = '↓';
+      downBtn.disabled = index === providers.length - 1;
+      downBtn.addEventListener('click', () => moveProvider(index, 1));
+
+      item.appendChild(label);
+      item.appendChild(upBtn);
+      item.appendChild(downBtn);
+      providerList.appendChild(item);
+    });
+  }
+
+  function moveProvider(index, offset) {
+    const [provider] = providers.splice(index, 1);
+    providers.splice(index + offset, 0, provider);
+    saveProviders();
+  }
+
+  async function saveProviders() {
+    const order = providers.filter((provider) => provider.enabled).map((provider) => provider.id);
+    await chrome.storage.sync.set({ providers: order });
+    renderProviders();
+    notifyDiscogsTabs({ type: 'SETTINGS_CHANGED' });
+  }
+
+  function loadOverrides() {
+    chrome.runtime.sendMessage({ type: 'GET_OVERRIDES' }, (overrides) => {
+      if (chrome.runtime.lastError || !overrides) return;
+      renderOverrides(overrides);
+    });
+  }
+
+  function renderOverrides(overrides) {
+    const entries = Object.entries(overrides).sort((a, b) => b[1].savedAt - a[1].savedAt);
+    overridesSummary.textContent = `Manual overrides (${entries.length})`;
+    overrideList.replaceChildren();
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'override-empty';
+      empty.textContent = 'Use "Wrong album?" on a release page to pick a match.';
+      overrideList.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(([key, override]) => {
+      const [discogsType, discogsId] = key.split(':');
+
+      const item = document.createElement('li');
+      item.className = 'override-item';
+
+      const info = document.createElement('div');
+      info.className = 'override-info';
+
+      const source = document.createElement('a');
+      source.href = `https://www.discogs.com/${discogsType}/${discogsId}`;
+      source.target = '_blank';
+      source.rel = 'noopener noreferrer';
+      source.textContent = `${override.discogsArtist} - ${override.discogsAlbum}`;
+
+      const target = document.createElement('span');
+      target.className = 'override-target';
+      target.textContent = `→ ${override.result.name} (${override.result.artist})`;
+
+      info.appendChild(source);
+      info.appendChild(target);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'copy-btn';
+      deleteBtn.title = 'Delete override';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => deleteOverride(key));
+
+      item.appendChild(info);
+      item.appendChild(deleteBtn);
+      overrideList.appendChild(item);
+    });
+  }
+
+  function deleteOverride(key) {
+    chrome.runtime.sendMessage({ type: 'DELETE_OVERRIDE', key }, () => loadOverrides());
+  }
+
+  function loadHistory() {
+    chrome.runtime.sendMessage({ type: 'GET_HISTORY' }, (entries) => {
+      if (chrome.runtime.lastError || !entries) return;
+      history = entries;
+      renderHistory();
+    });
+  }
+
+  /**
+   * History entries matching the search box and date filter
+   */
+  function getShownHistory() {
+    const query = historySearchInput.value.trim().toLowerCase();
+    const range = historyRangeSelect.value;
+
+    let since = 0;
+    if (range === 'today') {
+      since = new Date().setHours(0, 0, 0, 0);
+    } else if (range !== 'all') {
+      since = Date.now() - Number(range) * 24 * 60 * 60 * 1000;
+    }
+
+    return history.filter((entry) => {
+      if (entry.timestamp < since) return false;
+      if (!query) return true;
+      return [entry.discogsArtist, entry.discogsAlbum, entry.albumArtist, entry.albumName]
+        .some((text) => text?.toLowerCase().includes(query));
+    });
+  }
+
+  function renderHistory() {
+    const entries = getShownHistory();
+    historySummary.textContent = `Listening history (${history.length})`;
+    historyList.replaceChildren();
+
+    exportHistoryCsvBtn.disabled = entries.length === 0;
+    exportHistoryJsonBtn.disabled = entries.length === 0;
+    clearHistoryBtn.disabled = entries.length === 0;
+
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'override-empty';
+      empty.textContent = history.length
+        ? 'Nothing matches these filters.'
+        : 'Matches you see on Discogs release pages show up here.';
+      historyList.appendChild(empty);
+      return;
+    }
+
+    entries.forEach((entry) => {
+      const item = document.createElement('li');
+      item.className = 'override-item';
+
+      const info = document.createElement('div');
+      info.className = 'override-info';
+
+      const source = document.createElement('a');
+      source.href = entry.discogsUrl;
+      source.target = '_blank';
+      source.rel = 'noopener noreferrer';
+      source.textContent = `${entry.discogsArtist} - ${entry.discogsAlbum}`;
+
+      const target = document.createElement('a');
+      target.className = 'override-target';
+      target.href = entry.albumUrl;
+      target.target = '_blank';
+      target.rel = 'noopener noreferrer';
+      target.textContent = `→ ${entry.albumName} (${entry.albumArtist})`;
+
+      const when = document.createElement('span');
+      when.className = 'history-listened';
+      when.textContent = new Date(entry.timestamp).toLocaleString() + (entry.interacted ? ' · played' : '');
+
+      info.appendChild(source);
+      info.appendChild(target);
+      info.appendChild(when);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'copy-btn';
+      deleteBtn.title = 'Delete from history';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => deleteHistory([entry.key]));
+
+      item.appendChild(info);
+      item.appendChild(deleteBtn);
+      historyList.appendChild(item);
+    });
+  }
+
+  function deleteHistory(keys) {
+    chrome.runtime.sendMessage({ type: 'DELETE_HISTORY', keys }, () => loadHistory());
+  }
+
+  function clearShownHistory() {
+    const entries = getShownHistory();
+    if (!confirm(`Delete ${entries.length} history entr${entries.length === 1 ? 'y' : 'ies'}?`)) return;
+    deleteHistory(entries.map((entry) => entry.key));
+  }
+
+  /**
+   * Download the entries shown as a CSV or JSON file
+   */
+  function exportHistory(format) {
+    const entries = getShownHistory().map((entry) => ({
+      date: new Date(entry.timestamp).toISOString(),
+      discogsId: entry.discogsId,
+      discogsUrl: entry.discogsUrl,
+      discogsArtist: entry.discogsArtist,
+      discogsAlbum: entry.discogsAlbum,
+      provider: entry.provider,
+      albumId: entry.albumId,
+      albumName: entry.albumName,
+      albumArtist: entry.albumArtist,
+      albumUrl: entry.albumUrl,
+      interacted: entry.interacted
+    }));
+
+    let content;
+    if (format === 'csv') {
+      const columns = Object.keys(entries[0]);
+      const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+      content = [columns, ...entries.map((entry) => columns.map((column) => entry[column]))]
+        .map((row) => row.map(escape).join(','))
+        .join('\n');
+    } else {
+      content = JSON.stringify(entries, null, 2);
+    }
+
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    downloadFile(`discotify-history.${format}`, content, type);
+  }
+
+  function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   function toggleSecretVisibility() {
     const isPassword = clientSecretInput.type === 'password';
     clientSecretInput.type = isPassword ? 'text' : 'password';
@@ -107,9 +514,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
   function handleToggleChange(e) {
     chrome.storage.sync.set({ enabled: e.target.checked });
+    notifyDiscogsTabs({ type: 'SETTINGS_CHANGED', enabled: e.target.checked });
+  }
+
+  /**
+   * Tell open Discogs tabs to apply changed settings right away
+   */
+  function notifyDiscogsTabs(message) {
     chrome.tabs.query({ url: ['*://www.discogs.com/*', '*://discogs.com/*', '*://*.discogs.com/*'] }, (tabs) => {
       tabs.forEach((tab) => {
-        chrome.tabs.sendMessage(tab.id, { type: 'SETTINGS_CHANGED', enabled: e.target.checked }).catch(() => {});
+        chrome.tabs.sendMessage(tab.id, message).catch(() => {});
       });
     });
   }
@@ -118,12 +532,13 @@ document.addEventListener('DOMContentLoaded', () => {
     const clientId = clientIdInput.value.trim();
     const clientSecret = clientSecretInput.value.trim();
 
-    if (!clientId || !clientSecret) {
+    // An empty secret field keeps the saved secret
+    if (!clientId || (!clientSecret && !hasSavedSecret)) {
       showStatus('error', 'Missing credentials');
       return;
     }
 
-    if (clientId.length < 10 || clientSecret.length < 10) {
+    if (clientId.length < 10 || (clientSecret && clientSecret.length < 10)) {
       showStatus('error', 'Invalid format');
       return;
     }
@@ -135,9 +550,9 @@ document.addEventListener('DOMContentLoaded', () => {
     if (btnText) btnText.textContent = 'Connecting...';
     showStatus('checking', 'Connecting...');
 
-    await chrome.storage.local.set({ spotifyClientId: clientId, spotifyClientSecret: clientSecret });
+    const payload = { clientId, clientSecret, passphrase: passphraseInput.value };
 
-    chrome.runtime.sendMessage({ type: 'AUTHENTICATE' }, (response) => {
+    chrome.runtime.sendMessage({ type: 'SAVE_CREDENTIALS', payload }, (response) => {
       saveCredentialsBtn.disabled = false;
       const icon = saveCredentialsBtn.querySelector('.btn-icon');
       if (icon) icon.outerHTML = '<svg class="btn-icon" viewBox="0 0 24 24" width="16" height="16" fill="currentColor"><path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41z"/></svg>';
@@ -149,17 +564,84 @@ document.addEventListener('DOMContentLoaded', () => {
       } else {
         showStatus('error', response?.error || 'Failed');
       }
+
+      // Don't leave the secret in the form once it's been encrypted
+      clientSecretInput.value = '';
+      passphraseInput.value = '';
+      loadCredentials();
+      checkAuthStatus();
+    });
+  }
+
+  function unlockSecret() {
+    const passphrase = unlockPassphraseInput.value;
+    if (!passphrase) return;
+
+    unlockBtn.disabled = true;
+    chrome.runtime.sendMessage({ type: 'UNLOCK_SECRET', payload: { passphrase } }, (response) => {
+      unlockBtn.disabled = false;
+      unlockPassphraseInput.classList.toggle('invalid', !response?.success);
+      if (!response?.success) {
+        showStatus('error', response?.error || 'Unlock failed');
+        return;
+      }
+      unlockPassphraseInput.value = '';
+      checkAuthStatus();
+    });
+  }
+
+  async function handleLoginClick() {
+    const isLoggedIn = loginBtn.dataset.loggedIn === 'true';
+    loginBtn.disabled = true;
+
+    if (isLoggedIn) {
+      chrome.runtime.sendMessage({ type: 'LOGOUT' }, () => {
+        loginBtn.disabled = false;
+        checkAuthStatus();
+      });
+      return;
+    }
+
+    if (!clientIdInput.value.trim()) {
+      loginBtn.disabled = false;
+      showStatus('error', 'Missing Client ID');
+      return;
+    }
+
+    await saveCredentialsToStorage();
+    accountStatusEl.textContent = 'Waiting for Spotify...';
+
+    chrome.runtime.sendMessage({ type: 'LOGIN' }, (response) => {
+      loginBtn.disabled = false;
+      if (!response?.success) {
+        showStatus('error', response?.error || 'Login failed');
+      }
+      checkAuthStatus();
     });
   }
 
+  function updateAccountRow(response) {
+    const isLoggedIn = response?.mode === 'user';
+    loginBtn.dataset.loggedIn = isLoggedIn;
+    loginBtn.textContent = isLoggedIn ? 'Log out' : 'Log in';
+    accountStatusEl.classList.toggle('logged-in', isLoggedIn);
+    accountStatusEl.textContent = isLoggedIn
+      ? `Logged in as ${response.user?.displayName}`
+      : 'Not logged in';
+  }
+
   function checkAuthStatus() {
     showStatus('checking', 'Checking...');
     chrome.runtime.sendMessage({ type: 'GET_AUTH_STATUS' }, (response) => {
+      updateAccountRow(response);
       if (chrome.runtime.lastError || !response) {
         showStatus('error', 'Error');
         return;
       }
-      if (response.isAuthenticated) {
+      unlockRow.hidden = !response.isLocked;
+      if (response.isLocked) {
+        showStatus('not-connected', 'Locked');
+      } else if (response.isAuthenticated) {
         showStatus('connected', 'Connected');
       } else if (response.isConfigured) {
         showStatus('not-connected', 'Not connected');
@@ -0,0 +1,129 @@
+/**
+ * Discotify Settings
+ * Defaults and validation for the synced settings, shared by the options
+ * page and the background's settings import
+ */
+
+'use strict';
+
+import { DEFAULT_STRICTNESS, MIN_ALBUM_SCORE, STRICTNESS_NAMES } from '../background/matching.js';
+
+// Spotify returns up to 50 results per search
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 50;
+export const MAX_PROCESS_DELAY = 10000; // Ms
+
+const DISPLAY_MODES = ['replace', 'side-by-side', 'tabbed'];
+const INSERT_POSITIONS = ['auto', 'sidebar-top', 'sidebar-bottom', 'before-tracklist', 'after-tracklist'];
+
+// Must match the providers the background registers
+export const PROVIDER_IDS = ['spotify', 'deezer', 'bandcamp'];
+
+// chrome.storage.sync keys; the content script reads its own subset with its own defaults
+export const SYNC_SETTING_KEYS = [
+  'enabled', 'market', 'displayMode', 'insertPosition', 'resultBadges', 'providers',
+  'matchStrictness', 'minScore', 'searchLimit', 'processDelay', 'appleMusicSelectors'
+];
+
+// An empty market means auto-detect; providers default to the background's order
+export const DEFAULT_SETTINGS = {
+  enabled: true,
+  market: '',
+  searchLimit: DEFAULT_SEARCH_LIMIT,
+  minScore: MIN_ALBUM_SCORE,
+  matchStrictness: DEFAULT_STRICTNESS,
+  displayMode: 'replace',
+  insertPosition: 'auto',
+  resultBadges: true,
+  processDelay: 1000,
+  appleMusicSelectors: []
+};
+
+/**
+ * Check one setting
+ * @returns {{value?: *, error?: string}} The normalized value, or why it was rejected
+ */
+function validateSetting(key, value, isValidSelector) {
+  switch (key) {
+  case 'enabled':
+  case 'resultBadges':
+    return typeof value === 'boolean' ? { value } : { error: `${key} must be true or false` };
+
+  case 'market': {
+    const market = typeof value === 'string' ? value.trim().toUpperCase() : null;
+    return market !== null && (market === '' || /^[A-Z]{2}$/.test(market))
+      ? { value: market }
+      : { error: 'Market must be a two-letter country code' };
+  }
+
+  case 'searchLimit':
+    return Number.isInteger(value) && value >= 1 && value <= MAX_SEARCH_LIMIT
+      ? { value }
+      : { error: `Results per search must be between 1 and ${MAX_SEARCH_LIMIT}` };
+
+  case 'minScore':
+    return Number.isFinite(value) && value >= 0
+      ? { value }
+      : { error: 'Match threshold must be a positive number' };
+
+  case 'processDelay':
+    return Number.isFinite(value) && value >= 0 && value <= MAX_PROCESS_DELAY
+      ? { value }
+      : { error: `Processing delay must be between 0 and ${MAX_PROCESS_DELAY} ms` };
+
+  case 'matchStrictness':
+    return STRICTNESS_NAMES.includes(value) ? { value } : { error: `Unknown strictness: ${value}` };
+
+  case 'displayMode':
+    return DISPLAY_MODES.includes(value) ? { value } : { error: `Unknown display mode: ${value}` };
+
+  case 'insertPosition':
+    return INSERT_POSITIONS.includes(value) ? { value } : { error: `Unknown position: ${value}` };
+
+  case 'providers': {
+    if (!Array.isArray(value) || value.length === 0) {
+      return { error: 'Providers must be a list of provider names' };
+    }
+    const unknown = value.find((id) => !PROVIDER_IDS.includes(id));
+    return unknown === undefined ? { value: [...new Set(value)] } : { error: `Unknown provider: ${unknown}` };
+  }
+
+  case 'appleMusicSelectors': {
+    if (!Array.isArray(value) || !value.every((selector) => typeof selector === 'string')) {
+      return { error: 'Apple Music selectors must be a list of CSS selectors' };
+    }
+    const selectors = value.map((selector) => selector.trim()).filter(Boolean);
+    const invalid = isValidSelector && selectors.find((selector) => !isValidSelector(selector));
+    return invalid ? { error: `Invalid selector: ${invalid}` } : { value: selectors };
+  }
+
+  default:
+    return { error: `Unknown setting: ${key}` };
+  }
+}
+
+/**
+ * Check settings from the options form or an imported file. Only the keys
+ * present are checked; unknown keys are dropped.
+ * @param {Object} settings
+ * @param {Object} [options]
+ * @param {Function} [options.isValidSelector] - Checks CSS selectors where a DOM is
+ *   available; without one, selectors are only checked to be strings
+ * @returns {{settings?: Object, error?: string}} The normalized settings, or the first problem
+ */
+export function validateSettings(settings, { isValidSelector } = {}) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { error: 'Settings must be an object' };
+  }
+
+  const valid = {};
+  for (const key of SYNC_SETTING_KEYS) {
+    if (settings[key] === undefined) continue;
+
+    const { value, error } = validateSetting(key, settings[key], isValidSelector);
+    if (error) return { error };
+    valid[key] = value;
+  }
+
+  return { settings: valid };
+}